@@ -0,0 +1,162 @@
+// Alert rules and webhook notifications for Shopify Product Scraper
+import { createHmac } from 'node:crypto';
+import { log } from 'apify';
+import { parseList } from './helpers.js';
+import { sendHttpRequest } from './recording.js';
+import { snapshotVariantKey } from './snapshot.js';
+
+export const ALERT_RULE_TYPES = ['price_below', 'discount_above', 'back_in_stock', 'new_product', 'keyword'];
+
+// Rule types that compare against the previous run and therefore need change detection
+export const HISTORY_RULE_TYPES = ['back_in_stock', 'new_product'];
+
+/**
+ * Validate and normalize the `alertRules` input
+ * @param {any} input
+ * @returns {{ name: string, type: string, price: number | null, percent: number | null, vendors: string[], keywords: string[] }[]}
+ */
+export const parseAlertRules = (input) => {
+    if (!input) return [];
+    if (!Array.isArray(input)) throw new Error('Invalid alertRules: expected an array of rules');
+
+    return input.map((rule, i) => {
+        if (!rule || !ALERT_RULE_TYPES.includes(rule.type)) {
+            throw new Error(`Invalid alertRules[${i}]: type must be one of ${ALERT_RULE_TYPES.join(', ')}`);
+        }
+        const parsed = {
+            name: `${rule.name || rule.type}`,
+            type: rule.type,
+            price: Number.isFinite(+rule.price) && rule.price !== null && rule.price !== '' ? +rule.price : null,
+            percent: Number.isFinite(+rule.percent) && rule.percent !== null && rule.percent !== '' ? +rule.percent : null,
+            vendors: parseList(rule.vendors ?? rule.vendor),
+            keywords: parseList(rule.keywords ?? rule.keyword),
+        };
+        if (parsed.type === 'price_below' && parsed.price === null) throw new Error(`Invalid alertRules[${i}]: price_below needs a price`);
+        if (parsed.type === 'discount_above' && parsed.percent === null) throw new Error(`Invalid alertRules[${i}]: discount_above needs a percent`);
+        if (parsed.type === 'keyword' && !parsed.keywords.length) throw new Error(`Invalid alertRules[${i}]: keyword needs keywords`);
+        return parsed;
+    });
+};
+
+/**
+ * Create an alert for a record that matched a rule
+ * @param {ReturnType<typeof parseAlertRules>[number]} rule
+ * @param {Record<string, any>} record
+ * @param {boolean} variantLevel
+ * @param {any} matched - what triggered the rule
+ */
+const alert = (rule, record, variantLevel, matched = null) => ({
+    rule: rule.name,
+    type: rule.type,
+    id: record.id,
+    variant_id: variantLevel ? record.variant_id ?? null : null,
+    title: record.title ?? null,
+    variant_title: variantLevel ? record.variant_title ?? null : null,
+    vendor: record.vendor ?? null,
+    url: record.url ?? null,
+    market: record.market ?? null,
+    price: record.price ?? null,
+    compare_at_price: record.compare_at_price ?? null,
+    currency: record.currency ?? null,
+    discount_percent: record.discount_percent ?? null,
+    available: record.available ?? null,
+    matched,
+    detected_at: new Date().toISOString(),
+});
+
+/**
+ * Evaluate the rules against the records (variants) of one product. Price, discount and
+ * restock rules fire per variant, new product and keyword rules once per product.
+ * @param {ReturnType<typeof parseAlertRules>} rules
+ * @param {Record<string, any>[]} records
+ * @param {{ previous?: ReturnType<typeof import('./snapshot.js').buildSnapshotEntry>, hasHistory?: boolean }} [options]
+ *   the product's previous snapshot entry, and whether there is a previous snapshot at all
+ */
+export const evaluateAlertRules = (rules, records, { previous, hasHistory = false } = {}) => {
+    if (!rules.length || !records.length) return [];
+
+    const [first] = records;
+    const alerts = [];
+
+    for (const rule of rules) {
+        if (rule.type === 'price_below') {
+            records.filter(r => r.price !== null && r.price < rule.price)
+                .forEach(r => alerts.push(alert(rule, r, true, rule.price)));
+        } else if (rule.type === 'discount_above') {
+            records.filter(r => r.discount_percent !== null && r.discount_percent > rule.percent)
+                .forEach(r => alerts.push(alert(rule, r, true, rule.percent)));
+        } else if (rule.type === 'back_in_stock') {
+            records.filter(r => previous?.variants[snapshotVariantKey(r)]?.available === false && r.available)
+                .forEach(r => alerts.push(alert(rule, r, true)));
+        } else if (rule.type === 'new_product') {
+            // Without an earlier snapshot every product would be new
+            const vendorMatches = !rule.vendors.length || rule.vendors.includes(`${first.vendor || ''}`.toLowerCase());
+            if (hasHistory && !previous && vendorMatches) alerts.push(alert(rule, first, false, first.vendor ?? null));
+        } else if (rule.type === 'keyword') {
+            const text = [first.title, first.description, first.product_type, ...(first.tags || [])].join(' ').toLowerCase();
+            const keyword = rule.keywords.find(k => text.includes(k));
+            if (keyword) alerts.push(alert(rule, first, false, keyword));
+        }
+    }
+
+    return alerts;
+};
+
+/**
+ * Dedup key of an alert: one alert per rule, market and variant (or product)
+ * @param {ReturnType<typeof alert>} item
+ */
+export const alertKey = (item) => `${item.rule}|${item.market || ''}|${item.id}|${item.variant_id ?? ''}`;
+
+/**
+ * HMAC-SHA256 signature of a webhook body, sent as `X-Alert-Signature`
+ * @param {string} body - the raw request body
+ * @param {string} secret
+ */
+export const signPayload = (body, secret) => `sha256=${createHmac('sha256', secret).update(body).digest('hex')}`;
+
+/**
+ * POST the alerts payload to a webhook. Network errors, 429 and 5xx responses are retried with
+ * exponential back-off; any other non-2xx response fails right away. The request goes through
+ * the recording layer, so a record run stores the delivery with the other exchanges.
+ * @param {string} url
+ * @param {Record<string, any>} payload
+ * @param {{ secret?: string, retries?: number, retryDelayMs?: number }} [options]
+ * @returns {Promise<{ delivered: boolean, attempts: number, statusCode: number | null, error: string | null }>}
+ */
+export const sendAlertWebhook = async (url, payload, { secret, retries = 3, retryDelayMs = 1000 } = {}) => {
+    const body = JSON.stringify(payload);
+    const headers = {
+        'content-type': 'application/json',
+        ...(secret ? { 'x-alert-signature': signPayload(body, secret) } : {}),
+    };
+
+    let result = { delivered: false, attempts: 0, statusCode: null, error: null };
+    for (let attempt = 1; attempt <= retries + 1; attempt++) {
+        let retryable = true;
+        try {
+            const response = await sendHttpRequest({
+                url,
+                method: 'POST',
+                body,
+                headers,
+                useHeaderGenerator: false,
+                retry: { limit: 0 },
+                throwHttpErrors: false,
+                followRedirect: false,
+                timeout: { request: 30000 },
+            });
+            const ok = response.statusCode >= 200 && response.statusCode < 300;
+            retryable = response.statusCode === 429 || response.statusCode >= 500;
+            result = { delivered: ok, attempts: attempt, statusCode: response.statusCode, error: ok ? null : `HTTP ${response.statusCode}` };
+        } catch (error) {
+            result = { delivered: false, attempts: attempt, statusCode: null, error: error.message };
+        }
+
+        if (result.delivered || !retryable || attempt > retries) break;
+        log.warning(`Alert webhook attempt ${attempt} failed (${result.error}), retrying`);
+        await new Promise(resolve => setTimeout(resolve, retryDelayMs * 2 ** (attempt - 1)));
+    }
+
+    return result;
+};
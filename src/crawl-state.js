@@ -0,0 +1,69 @@
+// Resumable crawl state for Shopify Product Scraper
+import { Actor, log } from 'apify';
+
+export const CRAWL_STATE_KEY = 'CRAWL-STATE';
+
+/**
+ * Load the state an earlier part of this run persisted (before a migration, abort or restart).
+ * A new run starts with an empty default key-value store, so this is null on a fresh start.
+ */
+export const loadCrawlState = async () => {
+    const state = await Actor.getValue(CRAWL_STATE_KEY);
+    if (state) {
+        log.info(`Resuming crawl from state saved at ${state.savedAt}: ${state.counters?.saved ?? 0} products already scraped`);
+    }
+    return state || null;
+};
+
+/**
+ * Per-store state in a JSON-safe form
+ * @param {Record<string, any>} store
+ */
+export const serializeStoreState = (store) => ({ ...store, seen: [...store.seen] });
+
+/**
+ * Per-store state from its persisted form
+ * @param {Record<string, any>} store
+ */
+export const restoreStoreState = (store) => ({ ...store, seen: new Set(store.seen || []) });
+
+/**
+ * Persist crawl state on every periodic `persistState` event and on `migrating` and `aborting`.
+ * On the latter two the save waits for `drain`, so products of requests still running when the
+ * crawler paused are part of the saved state. Writes are queued and never overtake each other.
+ * @param {() => Record<string, any>} collect - builds the state to save
+ * @param {{ drain?: () => Promise<void> }} [options]
+ * @returns {() => Promise<void>} saves the state right away
+ */
+export const persistCrawlState = (collect, { drain = async () => {} } = {}) => {
+    let pending = Promise.resolve();
+    const save = () => {
+        pending = pending
+            .then(() => Actor.setValue(CRAWL_STATE_KEY, { ...collect(), savedAt: new Date().toISOString() }))
+            .catch(error => log.warning(`Could not persist crawl state: ${error.message}`));
+        return pending;
+    };
+    const saveDrained = async () => {
+        await drain();
+        await save();
+    };
+
+    Actor.on('persistState', save);
+    Actor.on('migrating', saveDrained);
+    Actor.on('aborting', saveDrained);
+    return save;
+};
+
+/**
+ * Product records of a dataset item pushed before the resume, for refilling export feeds.
+ * Nested items (`outputFormat: products`) are split back into one record per variant.
+ * @param {Record<string, any>} item
+ */
+export const recordsFromDatasetItem = (item) => {
+    if (!item || Object.keys(item).some(key => key.startsWith('#'))) return [];
+    if (Array.isArray(item.variants)) {
+        const { variants, ...product } = item;
+        return variants.map(variant => ({ ...product, ...variant }));
+    }
+    return [item];
+};
@@ -0,0 +1,117 @@
+// Description formats for Shopify Product Scraper
+import { load } from 'cheerio';
+
+// Removed together with their content
+const DROPPED_TAGS = 'script, style, noscript, iframe, object, embed, form, input, button, select, textarea, svg, template, link, meta';
+
+// Kept with the listed attributes; any other tag is replaced by its content
+const ALLOWED_TAGS = {
+    p: [], br: [], hr: [], div: [], span: [],
+    h1: [], h2: [], h3: [], h4: [], h5: [], h6: [],
+    strong: [], b: [], em: [], i: [], u: [], s: [], sub: [], sup: [], small: [],
+    ul: [], ol: [], li: [], dl: [], dt: [], dd: [], blockquote: [], pre: [], code: [],
+    table: [], thead: [], tbody: [], tfoot: [], tr: [], th: ['colspan', 'rowspan'], td: ['colspan', 'rowspan'],
+    a: ['href', 'title'], img: ['src', 'alt', 'width', 'height'],
+};
+
+/**
+ * Whether a link or image URL is safe to keep (no javascript:, data: and the like)
+ * @param {string} url
+ */
+const isSafeUrl = (url) => /^(https?:|mailto:|tel:|\/|#)/i.test(`${url}`.trim());
+
+/**
+ * Sanitize description HTML: drop scripts, styles, embeds and forms, unwrap unknown tags,
+ * keep only presentational attributes and safe URLs, and remove comments and empty markup
+ * @param {string} html
+ * @returns {string | null}
+ */
+export const sanitizeHtml = (html) => {
+    if (!html) return null;
+    const $ = load(`${html}`, null, false);
+
+    $(DROPPED_TAGS).remove();
+    $('*').contents().filter((_, node) => node.type === 'comment').remove();
+
+    // Deepest elements first, so unwrapping a parent never skips its children
+    $('*').get().reverse().forEach((el) => {
+        const allowed = ALLOWED_TAGS[el.tagName];
+        if (!allowed) {
+            $(el).replaceWith($(el).contents());
+            return;
+        }
+        for (const name of Object.keys(el.attribs)) {
+            const keep = allowed.includes(name) && (!['href', 'src'].includes(name) || isSafeUrl(el.attribs[name]));
+            if (!keep) $(el).removeAttr(name);
+        }
+        if (el.tagName === 'a' && el.attribs.href) $(el).attr('rel', 'nofollow noopener');
+        if (el.tagName === 'img' && !el.attribs.src) $(el).remove();
+    });
+
+    const sanitized = $.html()
+        .replace(/<(p|div|span|strong|b|em|i|u)>(\s|&nbsp;)*<\/\1>/g, '')
+        .replace(/\n\s*\n+/g, '\n')
+        .trim();
+    return sanitized || null;
+};
+
+/**
+ * Markdown of one node and its children
+ * @param {import('cheerio').CheerioAPI} $
+ * @param {any} node
+ * @param {{ listDepth: number }} context
+ */
+const nodeToMarkdown = ($, node, context) => {
+    if (node.type === 'text') return node.data.replace(/\s+/g, ' ');
+    if (node.type !== 'tag') return '';
+
+    const inner = (ctx = context) => $(node).contents().get().map(child => nodeToMarkdown($, child, ctx)).join('');
+    const tag = node.tagName;
+
+    if (/^h[1-6]$/.test(tag)) return `\n\n${'#'.repeat(+tag[1])} ${inner().trim()}\n\n`;
+    if (['p', 'div', 'table', 'dl'].includes(tag)) return `\n\n${inner().trim()}\n\n`;
+    if (tag === 'br') return '  \n';
+    if (tag === 'hr') return '\n\n---\n\n';
+    if (['strong', 'b'].includes(tag)) return inner().trim() ? `**${inner().trim()}**` : '';
+    if (['em', 'i'].includes(tag)) return inner().trim() ? `*${inner().trim()}*` : '';
+    if (tag === 's') return inner().trim() ? `~~${inner().trim()}~~` : '';
+    if (tag === 'code') return `\`${$(node).text()}\``;
+    if (tag === 'pre') return `\n\n\`\`\`\n${$(node).text().trim()}\n\`\`\`\n\n`;
+    if (tag === 'a') return node.attribs.href ? `[${inner().trim()}](${node.attribs.href})` : inner();
+    if (tag === 'img') return `![${node.attribs.alt || ''}](${node.attribs.src})`;
+    if (tag === 'blockquote') return `\n\n${inner().trim().split('\n').map(line => `> ${line}`).join('\n')}\n\n`;
+    if (tag === 'ul' || tag === 'ol') {
+        const items = $(node).children('li').get().map((li, i) => {
+            const text = $(li).contents().get()
+                .map(child => nodeToMarkdown($, child, { listDepth: context.listDepth + 1 })).join('').trim();
+            return `${'  '.repeat(context.listDepth)}${tag === 'ol' ? `${i + 1}.` : '-'} ${text}`;
+        });
+        return `${context.listDepth ? '\n' : '\n\n'}${items.join('\n')}${context.listDepth ? '' : '\n\n'}`;
+    }
+    if (tag === 'tr') {
+        const cells = $(node).children('th, td').get().map(cell => nodeToMarkdown($, cell, context).trim().replace(/\|/g, '\\|'));
+        const row = `| ${cells.join(' | ')} |`;
+        return $(node).is($(node).closest('table').find('tr').first())
+            ? `${row}\n| ${cells.map(() => '---').join(' | ')} |\n`
+            : `${row}\n`;
+    }
+    return inner();
+};
+
+/**
+ * Convert (sanitized) description HTML to Markdown
+ * @param {string} html
+ * @returns {string | null}
+ */
+export const htmlToMarkdown = (html) => {
+    if (!html) return null;
+    const $ = load(`${html}`, null, false);
+    const markdown = $.root().contents().get()
+        .map(node => nodeToMarkdown($, node, { listDepth: 0 }))
+        .join('')
+        .replace(/[ \t]+\n/g, (match) => (match.startsWith('  ') ? '  \n' : '\n'))
+        .replace(/\n (?=\S)/g, '\n')
+        .replace(/\n{3,}/g, '\n\n')
+        .trim();
+    return markdown || null;
+};
@@ -0,0 +1,165 @@
+// Embedded product JSON extraction for Shopify Product Scraper
+import { absoluteUrl, centsToPrice } from './helpers.js';
+
+/**
+ * Prices in theme JSON (product.js shape, analytics meta) are integer cents; products.json
+ * uses decimal strings. Returns a products.json-style decimal string.
+ * @param {any} value
+ */
+const toPrice = (value) => {
+    if (value === null || value === undefined || value === '') return null;
+    if (typeof value === 'number') return `${centsToPrice(value)}`;
+    return `${value}`;
+};
+
+/**
+ * Parse JSON without throwing
+ * @param {string} text
+ */
+const parseJson = (text) => {
+    try {
+        return JSON.parse(text);
+    } catch {
+        return null;
+    }
+};
+
+/**
+ * Parse the JSON object literals assigned in `<prefix> = {...};`, balancing braces
+ * @param {string} html
+ * @param {RegExp} prefix - global regex ending right before the object
+ */
+const parseAssignedObjects = (html, prefix) => {
+    const objects = [];
+    for (const match of html.matchAll(prefix)) {
+        const start = match.index + match[0].length;
+        if (html[start] !== '{') continue;
+
+        let depth = 0;
+        let inString = false;
+        for (let i = start; i < html.length; i++) {
+            const char = html[i];
+            if (inString) {
+                if (char === '\\') i++;
+                else if (char === '"') inString = false;
+            } else if (char === '"') {
+                inString = true;
+            } else if (char === '{') {
+                depth++;
+            } else if (char === '}' && --depth === 0) {
+                objects.push(parseJson(html.slice(start, i + 1)));
+                break;
+            }
+        }
+    }
+    return objects.filter(Boolean);
+};
+
+/**
+ * Map a theme product object (the `product | json` Liquid output, same as /products/<handle>.js)
+ * to the products.json shape transformProduct expects
+ * @param {Record<string, any>} json
+ */
+export const fromEmbeddedProduct = (json) => {
+    const variants = (json.variants || []).map(variant => ({
+        id: variant.id,
+        title: variant.title ?? variant.public_title ?? null,
+        option1: variant.option1 ?? null,
+        option2: variant.option2 ?? null,
+        option3: variant.option3 ?? null,
+        sku: variant.sku || null,
+        barcode: variant.barcode || null,
+        price: toPrice(variant.price),
+        compare_at_price: toPrice(variant.compare_at_price),
+        available: variant.available !== false,
+        requires_shipping: variant.requires_shipping,
+        weight: variant.weight ? variant.weight : null,
+        weight_unit: variant.weight ? (variant.weight_unit || 'g') : null,
+        inventory_policy: variant.inventory_policy || null,
+        featured_image: variant.featured_image || null,
+    }));
+
+    const variantImages = variants
+        .filter(v => v.featured_image?.src)
+        .map(v => ({ src: absoluteUrl(v.featured_image.src), variant_ids: [v.id] }));
+
+    return {
+        id: json.id,
+        title: json.title,
+        handle: json.handle,
+        body_html: json.description ?? json.body_html ?? '',
+        vendor: json.vendor,
+        product_type: json.type ?? json.product_type,
+        tags: json.tags || [],
+        created_at: json.created_at,
+        updated_at: json.updated_at,
+        published_at: json.published_at,
+        options: (json.options || []).map((option, i) => (typeof option === 'string'
+            ? { name: option, position: i + 1, values: [...new Set(variants.map(v => v[`option${i + 1}`]).filter(Boolean))] }
+            : option)),
+        variants,
+        images: [
+            ...variantImages,
+            ...(json.images || []).map(image => ({ src: absoluteUrl(typeof image === 'string' ? image : image.src), variant_ids: [] })),
+        ],
+    };
+};
+
+/**
+ * Map `ShopifyAnalytics.meta.product` / `var meta` (ids, vendor, type and variant prices only)
+ * to the products.json shape; title and handle come from the page
+ * @param {Record<string, any>} product
+ * @param {{ title: string | null, handle: string | null, image: string | null }} page
+ */
+const fromAnalyticsMeta = (product, page) => ({
+    id: product.id,
+    title: page.title || product.variants?.[0]?.name?.split(' - ')[0] || null,
+    handle: product.handle || page.handle,
+    vendor: product.vendor,
+    product_type: product.type,
+    variants: (product.variants || []).map(variant => ({
+        id: variant.id,
+        title: variant.public_title ?? 'Default Title',
+        sku: variant.sku || null,
+        price: toPrice(variant.price),
+    })),
+    images: page.image ? [{ src: absoluteUrl(page.image), variant_ids: [] }] : [],
+});
+
+/**
+ * Extract full product data embedded in a storefront page: `data-product-json` scripts, section
+ * JSON blobs with variants, and `ShopifyAnalytics.meta.product` / `var meta`. Returns products
+ * in the products.json shape, richest source first per product id.
+ * @param {import('cheerio').CheerioAPI} $
+ * @param {string} pageUrl
+ */
+export const extractEmbeddedProducts = ($, pageUrl) => {
+    const products = new Map();
+    const add = (product) => {
+        if (product?.id && product.variants?.length && !products.has(`${product.id}`)) products.set(`${product.id}`, product);
+    };
+
+    // Theme product JSON: <script data-product-json>, #ProductJson-*, and section blobs
+    $('script[type="application/json"]').each((_, el) => {
+        const json = parseJson($(el).html() || '');
+        const candidates = [json, json?.product].filter(Boolean);
+        for (const candidate of candidates) {
+            if (candidate.handle && Array.isArray(candidate.variants) && candidate.variants.some(v => 'price' in v)) {
+                add(fromEmbeddedProduct(candidate));
+            }
+        }
+    });
+
+    // Analytics meta has no title or description, so it only fills in when nothing richer exists
+    const html = $.html();
+    const meta = parseAssignedObjects(html, /(?:ShopifyAnalytics\.meta|var meta)\s*=\s*/g).find(m => m.product);
+    if (meta?.product) {
+        add(fromAnalyticsMeta(meta.product, {
+            title: $('meta[property="og:title"]').attr('content') || $('h1').first().text().trim() || null,
+            handle: pageUrl.match(/\/products\/([^/?#]+)/)?.[1] || null,
+            image: $('meta[property="og:image"]').attr('content') || null,
+        }));
+    }
+
+    return [...products.values()];
+};
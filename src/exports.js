@@ -0,0 +1,361 @@
+// Catalog export feeds for Shopify Product Scraper
+import { toGrams } from './helpers.js';
+
+export const EXPORT_FORMATS = {
+    google_merchant: { key: 'FEED-GOOGLE-MERCHANT', contentType: 'application/xml; charset=utf-8' },
+    shopify_csv: { key: 'EXPORT-SHOPIFY-CSV', contentType: 'text/csv; charset=utf-8' },
+    woocommerce_csv: { key: 'EXPORT-WOOCOMMERCE-CSV', contentType: 'text/csv; charset=utf-8' },
+};
+
+/**
+ * Escape text for XML element content
+ * @param {any} value
+ */
+const escapeXml = (value) => `${value ?? ''}`
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&apos;');
+
+/**
+ * Serialize rows to CSV with a header line
+ * @param {string[]} columns
+ * @param {Record<string, any>[]} rows
+ */
+const toCsv = (columns, rows) => {
+    const cell = (value) => {
+        const str = Array.isArray(value) ? value.join(', ') : `${value ?? ''}`;
+        return /[",\n\r]/.test(str) ? `"${str.replace(/"/g, '""')}"` : str;
+    };
+    return [columns, ...rows.map(row => columns.map(column => row[column]))]
+        .map(line => line.map(cell).join(','))
+        .join('\r\n');
+};
+
+/**
+ * Format a price for feeds, two decimals
+ * @param {number | null} value
+ */
+const formatPrice = (value) => (Number.isFinite(value) ? value.toFixed(2) : '');
+
+/**
+ * Option name/value pairs of a variant, in option1..3 order
+ * @param {Record<string, any>} record
+ */
+const variantOptions = (record) => (Array.isArray(record.selected_options) ? record.selected_options : []);
+
+/**
+ * Dedup key of a variant record; markets and searches repeat products
+ * @param {Record<string, any>} record
+ */
+const variantKey = (record) => `${record.id ?? record.handle}:${record.variant_id}`;
+
+/**
+ * Collect records per product, first occurrence wins (markets and searches repeat products)
+ */
+const createProductGroups = () => {
+    const groups = new Map();
+    const seenVariants = new Set();
+
+    return {
+        add(record) {
+            if (seenVariants.has(variantKey(record))) return;
+            seenVariants.add(variantKey(record));
+
+            const productKey = record.id ?? record.handle;
+            if (!groups.has(productKey)) groups.set(productKey, []);
+            groups.get(productKey).push(record);
+        },
+        values: () => groups.values(),
+    };
+};
+
+/**
+ * Google Merchant Center RSS 2.0 feed, one item per variant grouped by item_group_id. The first
+ * record of a variant wins, and items whose g:id another variant already uses are reported.
+ * @param {{ title?: string, link?: string }} [channel]
+ */
+export const createGoogleMerchantFeed = ({ title = 'Shopify products', link = '' } = {}) => {
+    const items = [];
+    const errors = [];
+    const seenVariants = new Set();
+    const itemIds = new Set();
+
+    return {
+        errors,
+        add(record) {
+            if (seenVariants.has(variantKey(record))) return;
+            seenVariants.add(variantKey(record));
+
+            const itemId = record.sku || record.variant_id;
+            const problems = [];
+            const [imageLink, ...additionalImages] = record.images || [];
+            const onSale = Number.isFinite(record.compare_at_price) && record.compare_at_price > record.price;
+
+            if (!record.title) problems.push('title is missing');
+            if (!record.description) problems.push('description is missing');
+            if (!record.url) problems.push('link is missing');
+            if (!imageLink) problems.push('image_link is missing');
+            if (!Number.isFinite(record.price)) problems.push('price is missing');
+            if (!record.currency) problems.push('price currency is unknown');
+            if (itemIds.has(`${itemId}`)) problems.push(`id ${itemId} is used by another variant`);
+
+            if (problems.length) {
+                errors.push({ format: 'google_merchant', id: record.id, variant_id: record.variant_id, handle: record.handle, errors: problems });
+                return;
+            }
+
+            const gtin = /^\d{8}$|^\d{12,14}$/.test(`${record.barcode || ''}`) ? record.barcode : null;
+            const options = Object.fromEntries(variantOptions(record).map(o => [o.name.toLowerCase(), o.value]));
+            const grams = record.weight_grams ?? toGrams(record.weight, record.weight_unit);
+            itemIds.add(`${itemId}`);
+            const fields = [
+                ['g:id', itemId],
+                ['g:item_group_id', record.id],
+                ['title', record.variant_name && record.variant_name !== 'Default' ? `${record.title} - ${record.variant_title}` : record.title],
+                ['description', record.description.slice(0, 5000)],
+                ['link', record.url],
+                ['g:image_link', imageLink],
+                ...additionalImages.slice(0, 10).map(image => ['g:additional_image_link', image]),
+                ['g:availability', record.available ? 'in_stock' : 'out_of_stock'],
+                ['g:price', `${formatPrice(onSale ? record.compare_at_price : record.price)} ${record.currency}`],
+                ...(onSale ? [['g:sale_price', `${formatPrice(record.price)} ${record.currency}`]] : []),
+                ['g:brand', record.vendor],
+                ['g:gtin', gtin],
+                ['g:mpn', record.sku],
+                ...(!gtin && !record.sku ? [['g:identifier_exists', 'no']] : []),
+                ['g:product_type', record.product_type],
+                ['g:condition', 'new'],
+                ['g:color', record.canonical_attributes?.color || options.color || options.colour],
+                ['g:size', record.canonical_attributes?.size || options.size],
+                ['g:material', record.canonical_attributes?.material],
+                ['g:shipping_weight', grams ? `${grams} g` : null],
+            ];
+
+            items.push([
+                '    <item>',
+                ...fields
+                    .filter(([, value]) => value !== null && value !== undefined && value !== '')
+                    .map(([tag, value]) => `      <${tag}>${escapeXml(value)}</${tag}>`),
+                '    </item>',
+            ].join('\n'));
+        },
+        build: () => [
+            '<?xml version="1.0" encoding="UTF-8"?>',
+            '<rss version="2.0" xmlns:g="http://base.google.com/ns/1.0">',
+            '  <channel>',
+            `    <title>${escapeXml(title)}</title>`,
+            `    <link>${escapeXml(link)}</link>`,
+            '    <description>Product feed generated by Shopify Product Scraper</description>',
+            ...items,
+            '  </channel>',
+            '</rss>',
+            '',
+        ].join('\n'),
+    };
+};
+
+const SHOPIFY_CSV_COLUMNS = [
+    'Handle', 'Title', 'Body (HTML)', 'Vendor', 'Type', 'Tags', 'Published',
+    'Option1 Name', 'Option1 Value', 'Option2 Name', 'Option2 Value', 'Option3 Name', 'Option3 Value',
+    'Variant SKU', 'Variant Grams', 'Variant Inventory Tracker', 'Variant Inventory Qty', 'Variant Inventory Policy',
+    'Variant Fulfillment Service', 'Variant Price', 'Variant Compare At Price', 'Variant Requires Shipping',
+    'Variant Taxable', 'Variant Barcode', 'Image Src', 'Image Position', 'Variant Image', 'Variant Weight Unit', 'Status',
+];
+
+/**
+ * Shopify product import CSV: the first row carries the product, further rows only the
+ * Handle plus variant or image columns
+ */
+export const createShopifyCsv = () => {
+    const groups = createProductGroups();
+    const errors = [];
+
+    return {
+        errors,
+        add: (record) => groups.add(record),
+        build() {
+            const rows = [];
+
+            for (const records of groups.values()) {
+                const [first] = records;
+                const problems = [];
+                if (!first.handle) problems.push('Handle is missing');
+                if (!first.title) problems.push('Title is missing');
+                if (records.some(r => !Number.isFinite(r.price))) problems.push('Variant Price is missing on some variants');
+
+                if (problems.length) {
+                    errors.push({ format: 'shopify_csv', id: first.id, handle: first.handle, errors: problems });
+                    continue;
+                }
+
+                const optionNames = variantOptions(first).map(o => o.name);
+                const images = first.images || [];
+
+                records.forEach((record, index) => {
+                    const options = variantOptions(record);
+                    const row = {
+                        Handle: record.handle,
+                        'Option1 Name': index === 0 ? (optionNames[0] || 'Title') : '',
+                        'Option1 Value': options[0]?.value || (optionNames.length ? '' : 'Default Title'),
+                        'Option2 Name': index === 0 ? optionNames[1] || '' : '',
+                        'Option2 Value': options[1]?.value || '',
+                        'Option3 Name': index === 0 ? optionNames[2] || '' : '',
+                        'Option3 Value': options[2]?.value || '',
+                        'Variant SKU': record.sku || '',
+                        'Variant Grams': record.weight_grams ?? toGrams(record.weight, record.weight_unit) ?? '',
+                        'Variant Inventory Tracker': record.inventory_quantity ? 'shopify' : '',
+                        'Variant Inventory Qty': record.inventory_quantity || 0,
+                        'Variant Inventory Policy': record.inventory_policy || 'deny',
+                        'Variant Fulfillment Service': 'manual',
+                        'Variant Price': formatPrice(record.price),
+                        'Variant Compare At Price': formatPrice(record.compare_at_price),
+                        'Variant Requires Shipping': record.requires_shipping ? 'TRUE' : 'FALSE',
+                        'Variant Taxable': 'TRUE',
+                        'Variant Barcode': record.barcode || '',
+                        'Variant Image': record.featured_image && record.featured_image !== images[0] ? record.featured_image : '',
+                        'Variant Weight Unit': record.weight_unit || '',
+                    };
+
+                    if (index === 0) {
+                        Object.assign(row, {
+                            Title: record.title,
+                            'Body (HTML)': record.description_html || record.description || '',
+                            Vendor: record.vendor || '',
+                            Type: record.product_type || '',
+                            Tags: record.tags || [],
+                            Published: record.published_at ? 'TRUE' : 'FALSE',
+                            'Image Src': images[0] || '',
+                            'Image Position': images[0] ? 1 : '',
+                            Status: 'active',
+                        });
+                    }
+
+                    rows.push(row);
+                });
+
+                images.slice(1).forEach((src, index) => {
+                    rows.push({ Handle: first.handle, 'Image Src': src, 'Image Position': index + 2 });
+                });
+            }
+
+            return toCsv(SHOPIFY_CSV_COLUMNS, rows);
+        },
+    };
+};
+
+const WOOCOMMERCE_CSV_COLUMNS = [
+    'Type', 'SKU', 'Name', 'Published', 'Is featured?', 'Visibility in catalog', 'Description',
+    'Tax status', 'In stock?', 'Stock', 'Weight (kg)', 'Sale price', 'Regular price', 'Categories', 'Tags', 'Images', 'Parent',
+    'Attribute 1 name', 'Attribute 1 value(s)', 'Attribute 1 visible', 'Attribute 1 global',
+    'Attribute 2 name', 'Attribute 2 value(s)', 'Attribute 2 visible', 'Attribute 2 global',
+    'Attribute 3 name', 'Attribute 3 value(s)', 'Attribute 3 visible', 'Attribute 3 global',
+];
+
+/**
+ * WooCommerce product CSV: single-variant products become `simple` products, the rest a
+ * `variable` parent with one `variation` row per variant
+ */
+export const createWooCommerceCsv = () => {
+    const groups = createProductGroups();
+    const errors = [];
+
+    const pricing = (record) => {
+        const onSale = Number.isFinite(record.compare_at_price) && record.compare_at_price > record.price;
+        const grams = record.weight_grams ?? toGrams(record.weight, record.weight_unit);
+        return {
+            'Regular price': formatPrice(onSale ? record.compare_at_price : record.price),
+            'Sale price': onSale ? formatPrice(record.price) : '',
+            'In stock?': record.available ? 1 : 0,
+            Stock: record.inventory_quantity || '',
+            'Weight (kg)': grams ? grams / 1000 : '',
+        };
+    };
+
+    return {
+        errors,
+        add: (record) => groups.add(record),
+        build() {
+            const rows = [];
+            const skus = new Set();
+
+            for (const records of groups.values()) {
+                const [first] = records;
+                const problems = [];
+                if (!first.title) problems.push('Name is missing');
+                if (records.some(r => !Number.isFinite(r.price))) problems.push('Regular price is missing on some variants');
+
+                const parentSku = first.handle || `${first.id}`;
+                const variantSkus = records.map(r => r.sku || `${parentSku}-${r.variant_id}`);
+                if ([parentSku, ...variantSkus].some(sku => skus.has(sku))) problems.push('SKU is not unique');
+
+                if (problems.length) {
+                    errors.push({ format: 'woocommerce_csv', id: first.id, handle: first.handle, errors: problems });
+                    continue;
+                }
+
+                const optionNames = variantOptions(first).map(o => o.name);
+                const product = {
+                    Name: first.title,
+                    Published: 1,
+                    'Is featured?': 0,
+                    'Visibility in catalog': 'visible',
+                    Description: first.description_html || first.description || '',
+                    'Tax status': 'taxable',
+                    Categories: first.product_type || '',
+                    Tags: first.tags || [],
+                    Images: first.images || [],
+                };
+
+                if (!optionNames.length) {
+                    skus.add(variantSkus[0]);
+                    rows.push({ Type: 'simple', SKU: variantSkus[0], ...product, ...pricing(first) });
+                    continue;
+                }
+
+                const attributes = {};
+                optionNames.forEach((name, index) => {
+                    const values = records.map(r => variantOptions(r)[index]?.value).filter(Boolean);
+                    Object.assign(attributes, {
+                        [`Attribute ${index + 1} name`]: name,
+                        [`Attribute ${index + 1} value(s)`]: [...new Set(values)],
+                        [`Attribute ${index + 1} visible`]: 1,
+                        [`Attribute ${index + 1} global`]: 0,
+                    });
+                });
+
+                skus.add(parentSku);
+                rows.push({ Type: 'variable', SKU: parentSku, ...product, ...attributes });
+
+                records.forEach((record, index) => {
+                    skus.add(variantSkus[index]);
+                    const variation = { Type: 'variation', SKU: variantSkus[index], Name: `${first.title} - ${record.variant_title}`, Published: 1, Parent: parentSku, ...pricing(record) };
+                    variantOptions(record).forEach((option, optionIndex) => {
+                        variation[`Attribute ${optionIndex + 1} name`] = option.name;
+                        variation[`Attribute ${optionIndex + 1} value(s)`] = option.value;
+                        variation[`Attribute ${optionIndex + 1} global`] = 0;
+                    });
+                    if (record.featured_image) variation.Images = [record.featured_image];
+                    rows.push(variation);
+                });
+            }
+
+            return toCsv(WOOCOMMERCE_CSV_COLUMNS, rows);
+        },
+    };
+};
+
+/**
+ * Create the exporters for the requested formats
+ * @param {string[]} formats
+ * @param {{ title?: string, link?: string }} [channel]
+ */
+export const createExporters = (formats, channel = {}) => {
+    const factories = {
+        google_merchant: () => createGoogleMerchantFeed(channel),
+        shopify_csv: createShopifyCsv,
+        woocommerce_csv: createWooCommerceCsv,
+    };
+    return Object.fromEntries(formats.filter(format => format in factories).map(format => [format, factories[format]()]));
+};
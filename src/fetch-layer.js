@@ -0,0 +1,314 @@
+// Shared HTTP layer for Shopify Product Scraper API calls
+import { log } from 'apify';
+import { SessionPool } from 'crawlee';
+import { sendHttpRequest } from './recording.js';
+
+// Categories that block a store rather than a single URL; these are worth a warning
+const BLOCKING_CATEGORIES = ['rate_limited', 'bot_challenge', 'password_page', 'geo_redirect'];
+
+const MAX_DELAY_MS = 30000;
+const MAX_RETRY_AFTER_MS = 60000;
+
+/**
+ * Category from the status code, headers and body alone
+ * @param {number} statusCode
+ * @param {Record<string, any>} headers
+ * @param {string} text - start of the body
+ */
+const statusCategory = (statusCode, headers, text) => {
+    if (statusCode === 429 || statusCode === 430) return 'rate_limited';
+
+    // Cloudflare and similar interstitials; normal Cloudflare pages also load /cdn-cgi/ scripts
+    if (headers['cf-mitigated'] === 'challenge'
+        || ([403, 503].includes(statusCode) && /cf-chl-|challenge-platform|Just a moment\.\.\.|captcha|_Incapsula_|px-captcha/i.test(text))) {
+        return 'bot_challenge';
+    }
+
+    if (statusCode === 404) return 'not_found';
+    if (statusCode === 401 || statusCode === 403) return 'blocked';
+    if (statusCode >= 500) return 'server_error';
+    if (statusCode >= 200 && statusCode < 300) return 'ok';
+    if (statusCode >= 300 && statusCode < 400) return 'redirect';
+    return 'http_error';
+};
+
+/**
+ * Classify a storefront response: `ok`, `not_found`, `rate_limited`, `bot_challenge`,
+ * `password_page`, `geo_redirect`, `blocked`, `server_error` or `http_error`
+ * @param {{ statusCode: number, headers?: Record<string, any>, body?: any, url?: string }} response
+ * @param {string} requestedUrl
+ */
+export const classifyResponse = ({ statusCode, headers = {}, body = '', url }, requestedUrl) => {
+    const text = typeof body === 'string' ? body.slice(0, 50000) : '';
+    const category = statusCategory(statusCode, headers, text);
+    if (category === 'rate_limited' || category === 'bot_challenge') return category;
+
+    const requested = new URL(requestedUrl);
+    const final = new URL(url || requestedUrl);
+
+    if (requested.pathname !== '/password'
+        && (final.pathname === '/password' || /template-password|<form[^>]+action="\/password"/i.test(text))) {
+        return 'password_page';
+    }
+
+    // Redirected into a market subfolder that was not asked for. Another host serving the same
+    // path is the store's primary domain (store.myshopify.com -> www.store.com) and is fine.
+    const localePrefix = /^\/[a-z]{2}(-[a-z]{2})?(\/|$)/i;
+    if (localePrefix.test(final.pathname) && !localePrefix.test(requested.pathname)) {
+        return 'geo_redirect';
+    }
+
+    return category;
+};
+
+/**
+ * Classify a crawler request error. Crawlee reports blocked responses as "Request blocked -
+ * received 429 status code" and server errors as "503 - Internal Server Error: <body>".
+ * @param {Error & { category?: string }} error
+ */
+export const classifyError = (error) => {
+    if (error?.category) return error.category;
+    const message = `${error?.message || ''}`;
+    const status = +(message.match(/received (\d{3}) status code|^(\d{3}) - /)?.slice(1).find(Boolean) || 0);
+    if (status) return statusCategory(status, {}, message);
+    if (/timed? ?out|ETIMEDOUT/i.test(message)) return 'timeout';
+    if (/ECONNRESET|ECONNREFUSED|ENOTFOUND|EAI_AGAIN|socket hang up|proxy/i.test(message)) return 'network_error';
+    return 'error';
+};
+
+/**
+ * Parse a Retry-After header (seconds or HTTP date) to milliseconds
+ * @param {string | undefined} value
+ */
+export const parseRetryAfter = (value) => {
+    if (!value) return null;
+    const seconds = Number(value);
+    const ms = Number.isFinite(seconds) ? seconds * 1000 : new Date(value).getTime() - Date.now();
+    return Number.isFinite(ms) && ms > 0 ? Math.min(ms, MAX_RETRY_AFTER_MS) : null;
+};
+
+/**
+ * Create the fetch layer all API requests go through. It uses the crawler's session pool (so
+ * API calls and page requests share sessions, proxies and cookies), honors Retry-After,
+ * throttles each domain adaptively and classifies every response.
+ * @param {{ proxyConfiguration?: any, maxRetries?: number }} options
+ */
+export const createFetchLayer = ({ proxyConfiguration = undefined, maxRetries = 2 } = {}) => {
+    const domains = new Map();
+    let getSessionPool = () => null;
+    let ownSessionPool = null;
+
+    const domain = (url) => {
+        const { origin } = new URL(url);
+        if (!domains.has(origin)) domains.set(origin, { delayMs: 0, nextAt: 0, categories: {}, warned: new Set(), cookies: [] });
+        return domains.get(origin);
+    };
+
+    // Requests before the crawl starts (store profiles, collection membership) have no crawler
+    // pool yet and use a pool of their own
+    const sessionPool = async () => {
+        const shared = getSessionPool();
+        if (shared) return shared;
+        ownSessionPool ??= SessionPool.open({ maxPoolSize: 20, persistStateKey: 'API_SESSION_POOL_STATE' });
+        return ownSessionPool;
+    };
+
+    const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+    const layer = {
+        /**
+         * Use the crawler's session pool once it exists
+         * @param {() => any} getter
+         */
+        shareSessions(getter) {
+            getSessionPool = () => getter() || null;
+        },
+
+        /**
+         * Cookies sent with every request to the domain, whatever session is used (storefront
+         * password unlock cookies)
+         * @param {string} url
+         * @param {string[]} cookies - `name=value` pairs
+         */
+        setCookies(url, cookies) {
+            domain(url).cookies = cookies;
+        },
+
+        /**
+         * Cookie header for a request: the session's cookies plus the domain cookies
+         * @param {string} url
+         * @param {string} [sessionCookies]
+         */
+        cookieHeader(url, sessionCookies = '') {
+            return [sessionCookies, ...domain(url).cookies].filter(Boolean).join('; ');
+        },
+
+        /**
+         * Wait for the domain's next free slot; spaces requests by the current adaptive delay
+         * @param {string} url
+         */
+        async throttle(url) {
+            const state = domain(url);
+            const now = Date.now();
+            const at = Math.max(now, state.nextAt);
+            state.nextAt = at + state.delayMs;
+            if (at > now) await sleep(at - now);
+        },
+
+        /**
+         * Back off a domain after rate limiting; Retry-After wins when it asks for more
+         * @param {string} url
+         * @param {number | null} [retryAfterMs]
+         */
+        slowDown(url, retryAfterMs = null) {
+            const state = domain(url);
+            state.delayMs = Math.min(MAX_DELAY_MS, Math.max(state.delayMs * 2, 1000));
+            state.nextAt = Math.max(state.nextAt, Date.now() + (retryAfterMs ?? state.delayMs));
+        },
+
+        /**
+         * Speed a domain back up after a successful response
+         * @param {string} url
+         */
+        speedUp(url) {
+            const state = domain(url);
+            state.delayMs = state.delayMs < 100 ? 0 : Math.floor(state.delayMs * 0.9);
+        },
+
+        /**
+         * Count a response category for the domain
+         * @param {string} url
+         * @param {string} category
+         */
+        record(url, category) {
+            const state = domain(url);
+            state.categories[category] = (state.categories[category] || 0) + 1;
+
+            if (BLOCKING_CATEGORIES.includes(category)) {
+                const { origin } = new URL(url);
+                if (!state.warned.has(category)) log.warning(`${origin}: ${category.replace('_', ' ')} (${url})`);
+                else log.debug(`${origin}: ${category.replace('_', ' ')} (${url})`);
+                state.warned.add(category);
+            }
+        },
+
+        /**
+         * Response category counts of a domain, or of all domains
+         * @param {string} [url]
+         */
+        categories(url) {
+            if (url) return { ...domain(url).categories };
+            const totals = {};
+            for (const state of domains.values()) {
+                for (const [category, count] of Object.entries(state.categories)) totals[category] = (totals[category] || 0) + count;
+            }
+            return totals;
+        },
+
+        /**
+         * Category counts keyed by domain origin, for persisting crawl state
+         */
+        categoriesByDomain() {
+            return Object.fromEntries([...domains].map(([origin, state]) => [origin, state.categories]));
+        },
+
+        /**
+         * Restore category counts saved by categoriesByDomain()
+         * @param {Record<string, Record<string, number>>} byDomain
+         */
+        restoreCategories(byDomain) {
+            for (const [origin, categories] of Object.entries(byDomain || {})) domain(origin).categories = { ...categories };
+        },
+
+        /**
+         * Request a URL. Never throws: returns the parsed body for `ok` responses and the
+         * response category either way. Rate limits, bot challenges, server and network
+         * errors are retried on a fresh session.
+         * @param {string} url
+         * @param {{ responseType?: 'json' | 'text', method?: string, headers?: Record<string, string>, json?: any, form?: Record<string, string>, followRedirect?: boolean, retries?: number }} [options]
+         * @returns {Promise<{ ok: boolean, statusCode: number | null, body: any, headers: Record<string, any>, url: string, category: string }>}
+         */
+        async request(url, {
+            responseType = 'json',
+            method = 'GET',
+            headers = {},
+            json = undefined,
+            form = undefined,
+            followRedirect = true,
+            retries = maxRetries,
+        } = {}) {
+            let result = null;
+
+            for (let attempt = 0; attempt <= retries; attempt++) {
+                await layer.throttle(url);
+                const pool = await sessionPool();
+                const session = await pool?.getSession();
+
+                let response;
+                try {
+                    response = await sendHttpRequest({
+                        url,
+                        method,
+                        json,
+                        form,
+                        followRedirect,
+                        headers: { ...headers, cookie: layer.cookieHeader(url, session?.getCookieString(url)) || undefined },
+                        sessionToken: session,
+                        proxyUrl: proxyConfiguration ? await proxyConfiguration.newUrl(session?.id) : undefined,
+                        timeout: { request: 30000 },
+                        retry: { limit: 0 },
+                        throwHttpErrors: false,
+                    });
+                } catch (error) {
+                    // Replays without a recorded response fail with `not_recorded`
+                    const category = error.category || 'network_error';
+                    session?.markBad();
+                    layer.record(url, category);
+                    log.debug(`Request failed: ${url}`, { error: error.message });
+                    result = { ok: false, statusCode: null, body: null, headers: {}, url, category };
+                    if (category === 'not_recorded') return result;
+                    if (attempt < retries) await sleep(1000 * 2 ** attempt);
+                    continue;
+                }
+
+                session?.setCookiesFromResponse(response);
+                let category = classifyResponse(response, url);
+                let { body } = response;
+                if (category === 'ok' && responseType === 'json') {
+                    try {
+                        body = JSON.parse(body);
+                    } catch {
+                        // A 200 HTML page where JSON was expected, typically a theme 404 or app proxy
+                        category = 'unexpected_content';
+                        body = null;
+                    }
+                }
+
+                layer.record(url, category);
+                result = { ok: category === 'ok', statusCode: response.statusCode, body, headers: response.headers, url: response.url, category };
+
+                if (category === 'ok') {
+                    session?.markGood();
+                    layer.speedUp(url);
+                    return result;
+                }
+
+                if (category === 'rate_limited' || category === 'bot_challenge') {
+                    session?.retire();
+                    layer.slowDown(url, parseRetryAfter(response.headers['retry-after']));
+                } else if (category === 'server_error') {
+                    session?.markBad();
+                    if (attempt < retries) await sleep(1000 * 2 ** attempt);
+                } else {
+                    // Not found, password page, geo redirect, unfollowed redirect: another attempt will not change it
+                    session?.markGood();
+                    return result;
+                }
+            }
+
+            return result;
+        },
+    };
+
+    return layer;
+};
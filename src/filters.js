@@ -0,0 +1,132 @@
+// Declarative product filters for Shopify Product Scraper
+import { extractSearchQuery, isCollectionUrl, parseList } from './helpers.js';
+
+/**
+ * Parse a regex filter, case-insensitive
+ * @param {string | undefined} pattern
+ * @param {string} name
+ */
+const parsePattern = (pattern, name) => {
+    if (!pattern) return null;
+    try {
+        return new RegExp(pattern, 'i');
+    } catch (error) {
+        throw new Error(`Invalid filters.${name}: ${error.message}`);
+    }
+};
+
+/**
+ * Parse a date window bound to a timestamp
+ * @param {string | undefined} value
+ * @param {string} name
+ */
+const parseDate = (value, name) => {
+    if (!value) return null;
+    const time = new Date(value).getTime();
+    if (Number.isNaN(time)) throw new Error(`Invalid filters.${name}: "${value}" is not a date`);
+    return time;
+};
+
+/**
+ * Parse an optional number
+ * @param {any} value
+ */
+const parseNumber = (value) => (value === null || value === undefined || value === '' || !Number.isFinite(+value) ? null : +value);
+
+/**
+ * Validate and normalize the `filters` input; returns null when no filter is set
+ * @param {Record<string, any> | undefined} input
+ */
+export const parseProductFilters = (input) => {
+    if (!input || typeof input !== 'object') return null;
+
+    const filters = {
+        minPrice: parseNumber(input.minPrice),
+        maxPrice: parseNumber(input.maxPrice),
+        vendors: parseList(input.vendors),
+        // Storefront filter values are case-sensitive, so vendors are pushed down as given
+        rawVendors: (Array.isArray(input.vendors) ? input.vendors : [input.vendors]).filter(Boolean).map(v => `${v}`.trim()),
+        productTypes: parseList(input.productTypes),
+        tagsInclude: parseList(input.tagsInclude),
+        tagsExclude: parseList(input.tagsExclude),
+        titlePattern: parsePattern(input.titlePattern, 'titlePattern'),
+        descriptionPattern: parsePattern(input.descriptionPattern, 'descriptionPattern'),
+        publishedAfter: parseDate(input.publishedAfter, 'publishedAfter'),
+        publishedBefore: parseDate(input.publishedBefore, 'publishedBefore'),
+        updatedAfter: parseDate(input.updatedAfter, 'updatedAfter'),
+        updatedBefore: parseDate(input.updatedBefore, 'updatedBefore'),
+        onSaleOnly: input.onSaleOnly === true,
+    };
+
+    const active = Object.values(filters).some(value => (Array.isArray(value) ? value.length : value !== null && value !== false));
+    return active ? filters : null;
+};
+
+/**
+ * Add storefront filter parameters (price range, vendors, in-stock) to collection and search
+ * page URLs so the store returns fewer pages. JSON endpoints ignore them, so every filter is
+ * still applied to the records as well.
+ * @param {string} url
+ * @param {ReturnType<typeof parseProductFilters>} filters
+ * @param {{ inStockOnly?: boolean }} [options]
+ */
+export const withStorefrontFilters = (url, filters, { inStockOnly = false } = {}) => {
+    if (!isCollectionUrl(url) && !extractSearchQuery(url)) return url;
+
+    const parsed = new URL(url);
+    if (filters && filters.minPrice !== null) parsed.searchParams.set('filter.v.price.gte', `${filters.minPrice}`);
+    if (filters && filters.maxPrice !== null) parsed.searchParams.set('filter.v.price.lte', `${filters.maxPrice}`);
+    for (const vendor of filters?.rawVendors || []) parsed.searchParams.append('filter.p.vendor', vendor);
+    if (inStockOnly) parsed.searchParams.set('filter.v.availability', '1');
+
+    return parsed.toString();
+};
+
+/**
+ * Timestamp of an ISO date field, null when missing
+ * @param {string | null} value
+ */
+const timeOf = (value) => (value ? new Date(value).getTime() : null);
+
+/**
+ * Check a date against an after/before window; products without the date fail a set window
+ * @param {number | null} time
+ * @param {number | null} after
+ * @param {number | null} before
+ */
+const inWindow = (time, after, before) => {
+    if (after === null && before === null) return true;
+    if (time === null || Number.isNaN(time)) return false;
+    return (after === null || time >= after) && (before === null || time <= before);
+};
+
+/**
+ * Keep the records (variants) of a product that pass the filters. Product-level filters drop
+ * all records at once, price, discount and availability filters single variants.
+ * @param {Record<string, any>[]} records - transformProduct output for one product
+ * @param {ReturnType<typeof parseProductFilters>} filters
+ * @param {{ inStockOnly?: boolean }} [options] - drop sold-out variants
+ */
+export const filterProductRecords = (records, filters, { inStockOnly = false } = {}) => {
+    // Availability is only known per variant; products.json has no product-level flag
+    if (inStockOnly) records = records.filter(record => record.available !== false);
+    if (!filters || !records.length) return records;
+
+    const [first] = records;
+    const tags = (first.tags || []).map(tag => `${tag}`.toLowerCase());
+
+    const productMatches = (!filters.vendors.length || filters.vendors.includes(`${first.vendor || ''}`.toLowerCase()))
+        && (!filters.productTypes.length || filters.productTypes.includes(`${first.product_type || ''}`.toLowerCase()))
+        && (!filters.tagsInclude.length || filters.tagsInclude.some(tag => tags.includes(tag)))
+        && !filters.tagsExclude.some(tag => tags.includes(tag))
+        && (!filters.titlePattern || filters.titlePattern.test(first.title || ''))
+        && (!filters.descriptionPattern || filters.descriptionPattern.test(first.description || ''))
+        && inWindow(timeOf(first.published_at), filters.publishedAfter, filters.publishedBefore)
+        && inWindow(timeOf(first.updated_at), filters.updatedAfter, filters.updatedBefore);
+
+    if (!productMatches) return [];
+
+    return records.filter(record => (filters.minPrice === null || record.price >= filters.minPrice)
+        && (filters.maxPrice === null || (record.price !== null && record.price <= filters.maxPrice))
+        && (!filters.onSaleOnly || (record.compare_at_price !== null && record.compare_at_price > record.price)));
+};
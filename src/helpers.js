@@ -1,10 +1,9 @@
 // Helper utilities for Shopify Product Scraper
-import { Actor } from 'apify';
-import { gotScraping } from 'got-scraping';
+import { createHash } from 'node:crypto';
+import { log } from 'apify';
+import { htmlToMarkdown, sanitizeHtml } from './description.js';
 import { load } from 'cheerio';
 
-const { log } = Actor;
-
 /**
  * Remove the GUID from Shopify IDs
  * @param {string} str
@@ -40,12 +39,62 @@ export const safeIsoDate = (date) => {
 export const normalizeShopifyUrl = (url) => {
     try {
         const parsed = new URL(url);
-        return `${parsed.protocol}//${parsed.hostname}`;
+        return `${parsed.protocol}//${parsed.host}`;
     } catch {
         return url.startsWith('http') ? url : `https://${url}`;
     }
 };
 
+/**
+ * Parse a market entry: a 3-letter currency code (`EUR`) or a locale/country path prefix (`en-ca`)
+ * @param {string} value
+ * @returns {{ id: string, prefix: string, currency: string | null } | null}
+ */
+export const parseMarket = (value) => {
+    const str = `${value || ''}`.trim();
+    if (!str) return null;
+
+    if (/^[a-z]{3}$/i.test(str)) {
+        return { id: str.toUpperCase(), prefix: '', currency: str.toUpperCase() };
+    }
+
+    const prefix = str.replace(/^\/+|\/+$/g, '').toLowerCase();
+    return { id: prefix, prefix: `/${prefix}`, currency: null };
+};
+
+/**
+ * Apply a market's path prefix and `?currency=` to a store URL. Idempotent.
+ * @param {string} url
+ * @param {{ prefix: string, currency: string | null } | null} market
+ */
+export const withMarket = (url, market) => {
+    if (!market) return url;
+    try {
+        const parsed = new URL(url);
+        if (market.prefix && parsed.pathname !== market.prefix && !parsed.pathname.startsWith(`${market.prefix}/`)) {
+            parsed.pathname = `${market.prefix}${parsed.pathname === '/' ? '' : parsed.pathname}`;
+        }
+        if (market.currency) parsed.searchParams.set('currency', market.currency);
+        return parsed.toString();
+    } catch {
+        return url;
+    }
+};
+
+/**
+ * Extract the active presentment currency from `Shopify.currency` in page HTML
+ * @param {string} html
+ */
+export const extractShopifyCurrency = (html) => {
+    const match = `${html || ''}`.match(/Shopify\.currency\s*=\s*(\{[^}]*\})/);
+    if (!match) return null;
+    try {
+        return JSON.parse(match[1]).active?.toUpperCase() || null;
+    } catch {
+        return null;
+    }
+};
+
 /**
  * Extract base domain from URL
  * @param {string} url
@@ -53,7 +102,7 @@ export const normalizeShopifyUrl = (url) => {
 export const getBaseDomain = (url) => {
     try {
         const parsed = new URL(url);
-        return `${parsed.protocol}//${parsed.hostname}`;
+        return `${parsed.protocol}//${parsed.host}`;
     } catch {
         return null;
     }
@@ -83,19 +132,70 @@ export const removeUrlQueryString = (url) => `${url}`.split('?', 2)[0];
 export const uniqueNonEmptyArray = (arr) => [...new Set([...arr])].filter((s) => s);
 
 /**
- * Extract variant attributes (size, color, etc.)
+ * Lower-cased list of non-empty strings, from a list or a single value
+ * @param {any} value
+ */
+export const parseList = (value) => (Array.isArray(value) ? value : [value])
+    .filter(Boolean)
+    .map(item => `${item}`.trim().toLowerCase());
+
+/**
+ * JSON-LD nodes of the given types from all `application/ld+json` blocks of a page, including
+ * `@graph` and nested arrays
+ * @param {import('cheerio').CheerioAPI} $
+ * @param {string[]} types - `Product`, `BreadcrumbList`, ...
+ */
+export const jsonLdNodes = ($, types) => {
+    const nodes = [];
+    const visit = (item) => {
+        if (Array.isArray(item)) return item.forEach(visit);
+        if (!item || typeof item !== 'object') return;
+        if (item['@graph']) visit(item['@graph']);
+        if ([item['@type']].flat().some(type => types.includes(type))) nodes.push(item);
+    };
+
+    $('script[type="application/ld+json"]').each((_, el) => {
+        try {
+            visit(JSON.parse($(el).html() || 'null'));
+        } catch {
+            // Themes sometimes print invalid JSON-LD
+        }
+    });
+    return nodes;
+};
+
+// Option names mapped to the canonical size, color and material fields, in several languages
+const CANONICAL_OPTIONS = {
+    size: /(?<!\p{L})(size|sizes|sizing|taille|gr(ö|oe)(ss|ß)e|talla|taglia|tamanho|maat|storlek|størrelse|rozmiar|koko)(?!\p{L})/iu,
+    color: /(?<!\p{L})(colou?rs?|colorway|shade|couleur|farbe|colore|kleur|färg|farve|farge|kolor|väri|cor)(?!\p{L})/iu,
+    material: /(?<!\p{L})(materials?|fabric|matière|matiere|stoff|tessuto|materiale|materiaal|tejido|tela)(?!\p{L})/iu,
+};
+
+/**
+ * Canonical field (size, color or material) a merchant's option name stands for, if any
+ * @param {string} optionName
+ */
+export const canonicalOptionField = (optionName) => Object.keys(CANONICAL_OPTIONS)
+    .find(field => CANONICAL_OPTIONS[field].test(`${optionName || ''}`)) || null;
+
+/**
+ * Extract variant attributes (size, color, etc.). `props` are keyed by the snake_cased option
+ * name, `options` keeps the option names and values in option1..3 order, `attributes` holds the
+ * canonical size, color and material (null when no option maps to them).
  * @param {Record<string, any>} variant
  * @param {Record<string, any>} product
  */
 export const getVariantAttributes = (variant, product) => {
     const { options } = product;
+    const attributes = { size: null, color: null, material: null };
 
     if (!options || /(Default|title)/i.test(`${options?.[0]?.name}`)) {
-        return { name: 'Default', props: {} };
+        return { name: 'Default', props: {}, options: [], attributes };
     }
 
     const name = [];
     const props = {};
+    const selected = [];
 
     for (let i = 0; i < options.length; i++) {
         const prop = `option${i + 1}`;
@@ -103,29 +203,29 @@ export const getVariantAttributes = (variant, product) => {
             const optionName = options[i].name;
             props[toSnakeCase(optionName)] = variant[prop];
             name.push(`${optionName}: ${variant[prop]}`);
+            selected.push({ name: optionName, value: variant[prop] ?? null });
+
+            // The first option mapping to a canonical field wins
+            const field = canonicalOptionField(optionName);
+            if (field && attributes[field] === null) attributes[field] = variant[prop] ?? null;
         }
     }
 
-    return { name: name.join(' / '), props };
+    return { name: name.join(' / '), props, options: selected, attributes };
 };
 
 /**
  * Check robots.txt for sitemap URLs
  * @param {string} baseUrl
- * @param {any} proxyConfiguration
+ * @param {ReturnType<import('./fetch-layer.js').createFetchLayer>} fetchLayer
  */
-export const checkRobotsTxt = async (baseUrl, proxyConfiguration) => {
+export const checkRobotsTxt = async (baseUrl, fetchLayer) => {
     const robotsUrl = new URL('/robots.txt', baseUrl).toString();
     
     try {
-        const response = await gotScraping({
-            url: robotsUrl,
-            timeout: { response: 20000, request: 17000 },
-            proxyUrl: proxyConfiguration?.newUrl(`${Date.now()}`),
-            retry: { limit: 2 },
-        });
+        const response = await fetchLayer.request(robotsUrl, { responseType: 'text' });
 
-        if (![200, 301, 302].includes(response.statusCode)) {
+        if (!response.ok) {
             return null;
         }
 
@@ -152,47 +252,285 @@ export const checkRobotsTxt = async (baseUrl, proxyConfiguration) => {
 };
 
 /**
- * Parse sitemap XML to extract product URLs
+ * Check whether a store runs on Shopify using response headers, page markup,
+ * /meta.json and the robots.txt marker
+ * @param {string} baseUrl
+ * @param {ReturnType<import('./fetch-layer.js').createFetchLayer>} fetchLayer
+ * @returns {Promise<{ isShopify: boolean, signals: string[] }>}
+ */
+export const detectShopify = async (baseUrl, fetchLayer) => {
+    const signals = [];
+    const fetchText = async (path) => {
+        const response = await fetchLayer.request(new URL(path, baseUrl).toString(), { responseType: 'text', retries: 1 });
+        if (!response.ok) log.debug(`Shopify detection request ${path} failed for ${baseUrl}: ${response.category}`);
+        return response.ok ? response : null;
+    };
+
+    const home = await fetchText('/');
+    if (home) {
+        const { headers, body } = home;
+        if (headers['x-shopid'] || headers['x-shopify-stage'] || headers['x-shardid']) signals.push('headers');
+        if (`${headers['powered-by'] || ''}`.includes('Shopify')) signals.push('powered-by');
+        if (`${headers['set-cookie'] || ''}`.includes('_shopify_')) signals.push('cookies');
+        if (/cdn\.shopify\.com|Shopify\.shop\s*=/.test(body)) signals.push('html');
+    }
+
+    const meta = await fetchText('/meta.json');
+    try {
+        if (meta && JSON.parse(meta.body)?.myshopify_domain) signals.push('meta.json');
+    } catch {
+        // Not JSON, so not a Shopify storefront endpoint
+    }
+
+    const robots = await fetchText('/robots.txt');
+    if (robots?.body.includes('Shopify')) signals.push('robots.txt');
+
+    return { isShopify: signals.length > 0, signals };
+};
+
+/**
+ * Parse sitemap XML into entries. Sitemap index files yield child sitemaps
+ * (`isSitemap: true`), urlsets yield page URLs with their `<lastmod>`.
  * @param {string} sitemapUrl
- * @param {any} proxyConfiguration
+ * @param {ReturnType<import('./fetch-layer.js').createFetchLayer>} fetchLayer
+ * @returns {Promise<{ url: string, lastmod: string | null, isSitemap: boolean }[]>}
  */
-export const parseSitemap = async (sitemapUrl, proxyConfiguration) => {
+export const parseSitemap = async (sitemapUrl, fetchLayer) => {
     try {
-        const response = await gotScraping({
-            url: sitemapUrl,
-            timeout: { response: 30000, request: 25000 },
-            proxyUrl: proxyConfiguration?.newUrl(`${Date.now()}`),
-            retry: { limit: 2 },
-        });
+        const response = await fetchLayer.request(sitemapUrl, { responseType: 'text' });
 
-        if (![200, 301, 302].includes(response.statusCode)) {
+        if (!response.ok) {
             return [];
         }
 
         const $ = load(response.body, { xmlMode: true });
-        const urls = [];
-
-        // Extract URLs from sitemap
-        $('url loc, sitemap loc').each((_, el) => {
-            const url = $(el).text().trim();
-            if (url) urls.push(url);
+        const entries = [];
+
+        // Extract entries from sitemap; direct children only, so <image:loc> is skipped
+        $('sitemap, url').each((_, el) => {
+            const url = $(el).children('loc').first().text().trim();
+            if (!url) return;
+            const lastmod = $(el).children('lastmod').first().text().trim();
+            entries.push({
+                url,
+                lastmod: lastmod ? safeIsoDate(lastmod) : null,
+                isSitemap: el.tagName === 'sitemap',
+            });
         });
 
-        log.info(`Extracted ${urls.length} URLs from sitemap: ${sitemapUrl}`);
-        return urls;
+        log.info(`Extracted ${entries.length} URLs from sitemap: ${sitemapUrl}`);
+        return entries;
     } catch (error) {
         log.warning(`Failed to parse sitemap ${sitemapUrl}`, { error: error.message });
         return [];
     }
 };
 
+/**
+ * Walk a store's sitemaps (robots.txt, falling back to /sitemap.xml) and collect product URLs.
+ * Requests go through the fetch layer, so an unlocked storefront's password cookies are sent.
+ * @param {string} baseUrl
+ * @param {ReturnType<import('./fetch-layer.js').createFetchLayer>} fetchLayer
+ * @param {{ since?: string | null, limit?: number }} [options]
+ * @returns {Promise<{ url: string, lastmod: string | null }[]>}
+ */
+export const collectSitemapProductUrls = async (baseUrl, fetchLayer, { since = null, limit = Infinity } = {}) => {
+    const sinceTime = since ? Date.parse(since) : NaN;
+    const queue = (await checkRobotsTxt(baseUrl, fetchLayer)) || [new URL('/sitemap.xml', baseUrl).toString()];
+    const visited = new Set();
+    const products = new Map();
+
+    while (queue.length && products.size < limit) {
+        const sitemapUrl = queue.shift();
+        if (visited.has(sitemapUrl)) continue;
+        visited.add(sitemapUrl);
+
+        for (const entry of await parseSitemap(sitemapUrl, fetchLayer)) {
+            if (entry.isSitemap) {
+                // Shopify also lists pages, collections and blogs sitemaps - none contain products
+                if (!/sitemap_(pages|collections|blogs)/i.test(entry.url)) queue.push(entry.url);
+                continue;
+            }
+
+            if (!isProductUrl(entry.url) || products.has(entry.url)) continue;
+
+            // Entries without <lastmod> are kept, we can't tell whether they changed
+            if (!Number.isNaN(sinceTime) && entry.lastmod && Date.parse(entry.lastmod) < sinceTime) continue;
+
+            products.set(entry.url, { url: entry.url, lastmod: entry.lastmod });
+            if (products.size >= limit) break;
+        }
+    }
+
+    log.info(`Discovered ${products.size} product URLs from ${visited.size} sitemaps for ${baseUrl}`);
+    return [...products.values()];
+};
+
+/**
+ * Make protocol-relative Shopify CDN URLs (`//cdn.shopify.com/...`) absolute
+ * @param {string} url
+ */
+export const absoluteUrl = (url) => (url && `${url}`.startsWith('//') ? `https:${url}` : url || null);
+
+/**
+ * Convert a `/products/<handle>.js` amount (integer cents) to a decimal price
+ * @param {number | null | undefined} cents
+ */
+export const centsToPrice = (cents) => (Number.isFinite(cents) ? cents / 100 : null);
+
+/**
+ * Parse a displayed price ("$1,299.00", "Sale price €12,50", "From Rs. 999") to a number;
+ * a separator followed by at most two digits is the decimal separator
+ * @param {string} text
+ */
+export const parsePriceText = (text) => {
+    const match = `${text || ''}`.match(/\d[\d.,']*/);
+    if (!match) return null;
+
+    const raw = match[0].replace(/[.,']+$/, '').replace(/'/g, '');
+    const lastSeparator = Math.max(raw.lastIndexOf('.'), raw.lastIndexOf(','));
+    const number = lastSeparator !== -1 && raw.length - lastSeparator - 1 <= 2
+        ? `${raw.slice(0, lastSeparator).replace(/[.,]/g, '')}.${raw.slice(lastSeparator + 1)}`
+        : raw.replace(/[.,]/g, '');
+
+    const value = parseFloat(number);
+    return Number.isFinite(value) ? value : null;
+};
+
+// ISO 4217 currencies whose minor unit is not 1/100
+const CURRENCY_EXPONENTS = {
+    BIF: 0, CLP: 0, DJF: 0, GNF: 0, ISK: 0, JPY: 0, KMF: 0, KRW: 0, PYG: 0, RWF: 0, UGX: 0,
+    UYI: 0, VND: 0, VUV: 0, XAF: 0, XOF: 0, XPF: 0,
+    BHD: 3, IQD: 3, JOD: 3, KWD: 3, LYD: 3, OMR: 3, TND: 3,
+};
+
+/**
+ * Convert a decimal amount to integer minor units of its currency (cents for USD, yen for JPY)
+ * @param {number | null} amount
+ * @param {string | null} currency - ISO 4217 code; unknown currencies use two decimals
+ */
+export const toMinorUnits = (amount, currency) => {
+    if (!Number.isFinite(amount)) return null;
+    return Math.round(amount * 10 ** (CURRENCY_EXPONENTS[`${currency || ''}`.toUpperCase()] ?? 2));
+};
+
+/**
+ * Discount of a variant against its compare-at price; nulls when it is not on sale
+ * @param {number | null} price
+ * @param {number | null} compareAtPrice
+ * @param {string | null} currency
+ * @returns {{ amount: number | null, percent: number | null }}
+ */
+export const discountOf = (price, compareAtPrice, currency) => {
+    if (!Number.isFinite(price) || !Number.isFinite(compareAtPrice) || compareAtPrice <= price) {
+        return { amount: null, percent: null };
+    }
+    const factor = 10 ** (CURRENCY_EXPONENTS[`${currency || ''}`.toUpperCase()] ?? 2);
+    return {
+        amount: Math.round((compareAtPrice - price) * factor) / factor,
+        percent: Math.round((1 - price / compareAtPrice) * 1000) / 10,
+    };
+};
+
+/**
+ * Stable SHA-256 of a dataset item's content. Keys are sorted at every level and `scraped_at`
+ * is left out, so the hash only changes when the scraped data does.
+ * @param {Record<string, any>} record
+ */
+export const contentHash = (record) => {
+    const canonical = (value) => {
+        if (Array.isArray(value)) return value.map(canonical);
+        if (!value || typeof value !== 'object') return value;
+        return Object.fromEntries(Object.keys(value).sort().map(key => [key, canonical(value[key])]));
+    };
+    const { scraped_at: _scrapedAt, content_hash: _hash, ...content } = record;
+    return createHash('sha256').update(JSON.stringify(canonical(content))).digest('hex');
+};
+
+/**
+ * Convert a variant weight to grams; null when the weight is missing or not a number
+ * @param {number | null} weight
+ * @param {string | null} unit - g, kg, lb or oz
+ */
+export const toGrams = (weight, unit) => {
+    const factors = { g: 1, kg: 1000, lb: 453.59237, oz: 28.349523125 };
+    if (!Number.isFinite(weight)) return null;
+    return Math.round(weight * (factors[`${unit || 'g'}`.toLowerCase()] ?? 1));
+};
+
+/**
+ * Product fields only `/products/<handle>.js` provides: option positions, media with their
+ * sources, selling plan groups and the variant's subscription prices
+ * @param {Record<string, any>} productJs
+ * @param {Record<string, any> | undefined} variantJs
+ */
+export const productJsFields = (productJs, variantJs) => ({
+    options: (productJs.options || []).map(option => ({
+        name: option.name,
+        position: option.position,
+        values: option.values || [],
+    })),
+    media: (productJs.media || []).map(media => ({
+        id: media.id,
+        type: media.media_type,
+        position: media.position,
+        alt: media.alt || null,
+        src: removeUrlQueryString(absoluteUrl(media.src || media.preview_image?.src)),
+        preview_image: removeUrlQueryString(absoluteUrl(media.preview_image?.src)),
+        // Videos and 3D models come in several formats, YouTube/Vimeo embeds only by id
+        sources: (media.sources || []).map(source => ({
+            url: absoluteUrl(source.url),
+            format: source.format || null,
+            mime_type: source.mime_type || null,
+            width: source.width || null,
+            height: source.height || null,
+        })),
+        host: media.host || null,
+        external_id: media.external_id || null,
+    })),
+    requires_selling_plan: productJs.requires_selling_plan || false,
+    selling_plan_groups: (productJs.selling_plan_groups || []).map(group => ({
+        id: group.id,
+        name: group.name,
+        app_id: group.app_id || null,
+        options: group.options || [],
+        selling_plans: (group.selling_plans || []).map(plan => ({
+            id: plan.id,
+            name: plan.name,
+            description: plan.description || null,
+            recurring_deliveries: plan.recurring_deliveries ?? null,
+            options: plan.options || [],
+            // value is a percentage, or cents for fixed_amount/price adjustments
+            price_adjustments: (plan.price_adjustments || []).map(adjustment => ({
+                order_count: adjustment.order_count ?? null,
+                position: adjustment.position,
+                value_type: adjustment.value_type,
+                value: adjustment.value_type === 'percentage' ? adjustment.value : centsToPrice(adjustment.value),
+            })),
+        })),
+    })),
+    selling_plan_prices: (variantJs?.selling_plan_allocations || []).map(allocation => ({
+        selling_plan_id: allocation.selling_plan_id,
+        selling_plan_group_id: allocation.selling_plan_group_id,
+        price: centsToPrice(allocation.price),
+        compare_at_price: centsToPrice(allocation.compare_at_price),
+        per_delivery_price: centsToPrice(allocation.per_delivery_price),
+        price_adjustments: (allocation.price_adjustments || []).map(adjustment => ({
+            position: adjustment.position,
+            price: centsToPrice(adjustment.price),
+        })),
+    })),
+});
+
 /**
  * Transform product data to standard format
  * @param {Record<string, any>} product
  * @param {string} baseUrl
  * @param {boolean} includeVariants
+ * @param {{ currency?: string | null, market?: string | null, productJs?: Record<string, any> | null }} [options]
+ *   productJs - the `/products/<handle>.js` payload, merged in when available
  */
-export const transformProduct = (product, baseUrl, includeVariants = true) => {
+export const transformProduct = (product, baseUrl, includeVariants = true, { currency = null, market = null, productJs = null } = {}) => {
     if (!product) return null;
 
     const variants = Array.isArray(product.variants) ? product.variants : [];
@@ -208,21 +546,34 @@ export const transformProduct = (product, baseUrl, includeVariants = true) => {
         }
     });
 
+    // Every variant shares the description formats
+    const descriptionHtml = sanitizeHtml(product.body_html || product.description || '');
+    const descriptionMarkdown = htmlToMarkdown(descriptionHtml);
+    const productCurrency = product.currency || currency || null;
+
     // Images without variant IDs
     const generalImages = images
         .filter(img => !img.variant_ids || img.variant_ids.length === 0)
         .map(img => removeUrlQueryString(img.src));
 
+    // The .js endpoint has the real per-variant availability and variant featured images
+    const jsVariants = new Map((productJs?.variants || []).map(v => [removeGuid(v.id), v]));
+
     const results = [];
 
     const variantsToProcess = includeVariants ? variants : [variants[0]].filter(Boolean);
 
     for (const variant of variantsToProcess) {
-        const { name: variantName, props: variantProps } = getVariantAttributes(variant, product);
+        const { name: variantName, props: variantProps, options: selectedOptions, attributes } = getVariantAttributes(variant, product);
         
         // Get images for this variant
         const variantImage = imageMap.get(variant.id);
+        const variantJs = jsVariants.get(removeGuid(variant.id));
+        const price = variant.price ? parseFloat(variant.price) : null;
+        const compareAtPrice = variant.compare_at_price ? parseFloat(variant.compare_at_price) : null;
+        const discount = discountOf(price, compareAtPrice, productCurrency);
         const variantImages = uniqueNonEmptyArray([
+            absoluteUrl(variantJs?.featured_image?.src),
             variantImage,
             ...generalImages,
             product.image?.src,
@@ -234,6 +585,8 @@ export const transformProduct = (product, baseUrl, includeVariants = true) => {
             title: product.title || null,
             handle: product.handle || null,
             description: cleanText(product.body_html || product.description || '') || null,
+            description_html: descriptionHtml,
+            description_markdown: descriptionMarkdown,
             vendor: product.vendor || null,
             product_type: product.product_type || product.productType || null,
             tags: Array.isArray(product.tags) 
@@ -243,26 +596,35 @@ export const transformProduct = (product, baseUrl, includeVariants = true) => {
             // Variant-specific data
             variant_title: variant.title || variantName || null,
             variant_name: variantName || null,
+            selected_options: selectedOptions,
             sku: variant.sku || null,
             barcode: variant.barcode || null,
             
             // Pricing
-            price: variant.price ? parseFloat(variant.price) : null,
-            compare_at_price: variant.compare_at_price ? parseFloat(variant.compare_at_price) : null,
-            currency: 'USD',
+            price,
+            compare_at_price: compareAtPrice,
+            currency: productCurrency,
+            price_minor: toMinorUnits(price, productCurrency),
+            compare_at_price_minor: toMinorUnits(compareAtPrice, productCurrency),
+            discount_amount: discount.amount,
+            discount_percent: discount.percent,
+            market: market || null,
             
             // Availability
-            available: variant.available !== false,
+            available: variantJs ? variantJs.available !== false : variant.available !== false,
             inventory_quantity: variant.inventory_quantity || 0,
             inventory_policy: variant.inventory_policy || null,
             
             // Physical properties
-            weight: variant.weight || null,
+            weight: variant.weight ?? null,
             weight_unit: variant.weight_unit || null,
+            // products.json only has grams, /products/<handle>.js weighs in grams too
+            weight_grams: toGrams(variant.weight, variant.weight_unit) ?? variant.grams ?? variantJs?.weight ?? null,
             requires_shipping: variant.requires_shipping || false,
             
-            // Variant attributes
+            // Variant attributes as the merchant named them, and the canonical size, color and material
             ...variantProps,
+            canonical_attributes: attributes,
             
             // Images
             images: variantImages,
@@ -276,16 +638,90 @@ export const transformProduct = (product, baseUrl, includeVariants = true) => {
             updated_at: safeIsoDate(product.updated_at || product.updatedAt),
             published_at: safeIsoDate(product.published_at || product.publishedAt),
             
+            // Media, options and selling plans from /products/<handle>.js
+            ...(productJs ? productJsFields(productJs, variantJs) : {}),
+            
+            // Collections and metafields, when the Storefront API supplied them
+            ...(Array.isArray(product.collections) ? { collections: product.collections } : {}),
+            ...(product.metafields && Object.keys(product.metafields).length ? { metafields: product.metafields } : {}),
+            
             // Metadata
             scraped_at: new Date().toISOString(),
         };
-
         results.push(result);
     }
 
     return results.length === 1 ? results[0] : results;
 };
 
+// transformProduct fields shared by all variants of a product; the rest is per variant
+const PRODUCT_LEVEL_FIELDS = [
+    'id', 'title', 'handle', 'description', 'description_html', 'description_markdown', 'vendor', 'product_type',
+    'tags', 'currency', 'market', 'url', 'created_at', 'updated_at', 'published_at', 'options', 'media',
+    'requires_selling_plan', 'selling_plan_groups', 'collections', 'metafields', 'scraped_at',
+];
+
+/**
+ * Fold the per-variant records of one product into a single record with a nested
+ * `variants` array and product-level aggregates
+ * @param {Record<string, any>[]} records - transformProduct output for one product
+ * @param {Record<string, any>} product - raw product, for option names and values
+ */
+export const nestVariants = (records, product) => {
+    const [first] = records;
+    const nested = {};
+
+    for (const field of PRODUCT_LEVEL_FIELDS) {
+        if (field in first) nested[field] = first[field];
+    }
+
+    const variants = records.map((record) => {
+        const variant = {};
+        for (const [key, value] of Object.entries(record)) {
+            if (!PRODUCT_LEVEL_FIELDS.includes(key) && key !== 'images') variant[key] = value;
+        }
+        return variant;
+    });
+
+    const prices = records.map(r => r.price).filter(Number.isFinite);
+    const compareAtPrices = records.map(r => r.compare_at_price).filter(Number.isFinite);
+
+    return {
+        ...nested,
+        options: first.options || (product?.options || [])
+            .filter(option => !/^title$/i.test(option.name) || option.values?.[0] !== 'Default Title')
+            .map(option => ({ name: option.name, position: option.position, values: option.values || [] })),
+        price_min: prices.length ? Math.min(...prices) : null,
+        price_max: prices.length ? Math.max(...prices) : null,
+        compare_at_price_min: compareAtPrices.length ? Math.min(...compareAtPrices) : null,
+        compare_at_price_max: compareAtPrices.length ? Math.max(...compareAtPrices) : null,
+        any_available: records.some(r => r.available),
+        total_variants: Array.isArray(product?.variants) ? product.variants.length : records.length,
+        images: uniqueNonEmptyArray(records.flatMap(r => r.images || [])),
+        featured_image: first.images?.[0] || null,
+        variants,
+    };
+};
+
+/**
+ * Transform a /collections.json entry to the collections dataset format
+ * @param {Record<string, any>} collection
+ * @param {string} baseUrl
+ * @param {number} [productCount] - counted while crawling, used when the store omits products_count
+ */
+export const transformCollection = (collection, baseUrl, productCount = null) => ({
+    id: removeGuid(collection.id) || null,
+    title: collection.title || null,
+    handle: collection.handle || null,
+    description: cleanText(collection.body_html || collection.description || '') || null,
+    image: collection.image?.src ? removeUrlQueryString(collection.image.src) : null,
+    products_count: collection.products_count ?? productCount,
+    url: `${baseUrl}/collections/${collection.handle}`,
+    published_at: collection.published_at ? safeIsoDate(collection.published_at) : null,
+    updated_at: collection.updated_at ? safeIsoDate(collection.updated_at) : null,
+    scraped_at: new Date().toISOString(),
+});
+
 /**
  * Validate if URL is a Shopify product URL
  * @param {string} url
@@ -302,6 +738,37 @@ export const isCollectionUrl = (url) => {
     return /\/collections\/[^\/]+/.test(url);
 };
 
+/**
+ * Extract the query of a storefront search URL (`/search?q=...`, market prefixes allowed)
+ * @param {string} url
+ */
+export const extractSearchQuery = (url) => {
+    try {
+        const parsed = new URL(url);
+        if (!/(^|\/)search\/?$/.test(parsed.pathname)) return null;
+        return parsed.searchParams.get('q')?.trim() || null;
+    } catch {
+        return null;
+    }
+};
+
+/**
+ * Extract unique product handles linked from a page, in document order.
+ * Prefers the main content area so header/footer product links don't leak in.
+ * @param {import('cheerio').CheerioAPI} $
+ */
+export const extractProductHandles = ($) => {
+    const selector = 'a[href*="/products/"]';
+    const main = $('#MainContent, main').first();
+    const links = main.length ? main.find(selector) : $(selector);
+
+    const handles = links
+        .map((_, el) => $(el).attr('href')?.match(/\/products\/([^/?#]+)/)?.[1])
+        .get();
+
+    return uniqueNonEmptyArray(handles);
+};
+
 /**
  * Extract collection handle from URL
  * @param {string} url
@@ -315,11 +782,13 @@ export const extractCollectionHandle = (url) => {
  * Create error info for failed requests
  * @param {any} request
  * @param {Error} error
+ * @param {string | null} [category] - failure category from the fetch layer's classifyError
  */
-export const createErrorInfo = (request, error) => {
+export const createErrorInfo = (request, error, category = null) => {
     return {
         url: request.url,
         error: error.message,
+        category,
         stack: error.stack,
         retries: request.retryCount,
         timestamp: new Date().toISOString(),
@@ -0,0 +1,202 @@
+// Product image downloads for Shopify Product Scraper
+import { createHash } from 'node:crypto';
+import { log } from 'apify';
+import { sendHttpRequest } from './recording.js';
+
+// Image requests retry on their own schedule, independent of the crawler's request retries
+const IMAGE_RETRY = { attempts: 3, backoffMs: 1000 };
+
+const EXTENSIONS = { 'image/jpeg': 'jpg', 'image/png': 'png', 'image/gif': 'gif', 'image/webp': 'webp', 'image/avif': 'avif' };
+
+// Shopify's named image sizes; numbered sizes start at 16px, the size of `pico`
+const NAMED_SIZES = /^(pico|icon|thumb|small|compact|medium|large|grande|original|master)$/i;
+const MIN_SIZE_PX = 16;
+
+/**
+ * Whether a filename suffix is a Shopify size token (`800x`, `x600`, `1024x1024`, `grande`)
+ * rather than part of the file's own name (`banner_2x3`, `shoe_10x`)
+ * @param {string} token
+ */
+const isSizeToken = (token) => {
+    if (NAMED_SIZES.test(token)) return true;
+    const dimensions = token.match(/^(\d*)x(\d*)$/)?.slice(1).filter(Boolean) || [];
+    return dimensions.length > 0 && dimensions.every(n => +n >= MIN_SIZE_PX);
+};
+
+/**
+ * Request a size variant from the Shopify CDN by adding (or replacing) the `_<size>` filename
+ * suffix, e.g. `shoe.jpg` -> `shoe_800x.jpg`. Other hosts are returned unchanged.
+ * @param {string} url
+ * @param {string | null} size - `800x`, `x600`, `1024x1024`; empty for the original
+ */
+export const cdnSizedUrl = (url, size) => {
+    if (!size || !/^\d*x\d*$/.test(size) || size === 'x') return url;
+    try {
+        const parsed = new URL(url);
+        if (!/(^|\.)shopify\.com$/.test(parsed.hostname) && !parsed.pathname.startsWith('/cdn/shop/')) return url;
+        const [, stem, extension] = parsed.pathname.match(/^(.*)(\.[a-z0-9]+)$/i) || [];
+        if (!extension) return url;
+
+        // Only the one token directly before the extension can be a size already applied
+        const token = stem.match(/_([a-z0-9]+)$/i)?.[1];
+        const name = token && isSizeToken(token) ? stem.slice(0, -token.length - 1) : stem;
+        parsed.pathname = `${name}_${size}${extension}`;
+        return parsed.toString();
+    } catch {
+        return url;
+    }
+};
+
+/**
+ * Read width and height from PNG, GIF, JPEG and WebP headers
+ * @param {Buffer} buffer
+ * @returns {{ width: number | null, height: number | null }}
+ */
+export const imageDimensions = (buffer) => {
+    const none = { width: null, height: null };
+    if (!buffer || buffer.length < 24) return none;
+
+    // PNG: IHDR follows the 8-byte signature
+    if (buffer.readUInt32BE(0) === 0x89504e47) {
+        return { width: buffer.readUInt32BE(16), height: buffer.readUInt32BE(20) };
+    }
+    // GIF: logical screen size
+    if (buffer.toString('ascii', 0, 3) === 'GIF') {
+        return { width: buffer.readUInt16LE(6), height: buffer.readUInt16LE(8) };
+    }
+    // WebP: lossy (VP8), lossless (VP8L) or extended (VP8X)
+    if (buffer.toString('ascii', 0, 4) === 'RIFF' && buffer.toString('ascii', 8, 12) === 'WEBP') {
+        const chunk = buffer.toString('ascii', 12, 16);
+        if (chunk === 'VP8 ') return { width: buffer.readUInt16LE(26) & 0x3fff, height: buffer.readUInt16LE(28) & 0x3fff };
+        if (chunk === 'VP8L') {
+            const bits = buffer.readUInt32LE(21);
+            return { width: (bits & 0x3fff) + 1, height: ((bits >> 14) & 0x3fff) + 1 };
+        }
+        if (chunk === 'VP8X') return { width: buffer.readUIntLE(24, 3) + 1, height: buffer.readUIntLE(27, 3) + 1 };
+        return none;
+    }
+    // JPEG: walk the segments to the first start-of-frame marker
+    if (buffer[0] === 0xff && buffer[1] === 0xd8) {
+        let offset = 2;
+        while (offset + 9 < buffer.length) {
+            if (buffer[offset] !== 0xff) return none;
+            const marker = buffer[offset + 1];
+            if (marker >= 0xc0 && marker <= 0xcf && ![0xc4, 0xc8, 0xcc].includes(marker)) {
+                return { width: buffer.readUInt16BE(offset + 7), height: buffer.readUInt16BE(offset + 5) };
+            }
+            offset += 2 + buffer.readUInt16BE(offset + 2);
+        }
+    }
+    return none;
+};
+
+/**
+ * Create an image downloader that stores files in a key-value store under their content
+ * hash, so an image shared by variants, products or markets is stored once
+ * @param {{ store: import('apify').KeyValueStore, size?: string | null, concurrency?: number, proxyConfiguration?: any }} options
+ */
+export const createImageDownloader = ({ store, size = null, concurrency = 4, proxyConfiguration = undefined }) => {
+    const byUrl = new Map();
+    // Store write per key, shared by every download that hashes to the same file
+    const storedKeys = new Map();
+    const queue = [];
+    let active = 0;
+    const stats = { downloaded: 0, deduplicated: 0, failed: 0, bytes: 0 };
+
+    // Bounded concurrency: at most `concurrency` downloads run at once, the rest wait in line
+    const schedule = (task) => new Promise((resolve, reject) => {
+        queue.push({ task, resolve, reject });
+        next();
+    });
+    function next() {
+        if (active >= concurrency || !queue.length) return;
+        const { task, resolve, reject } = queue.shift();
+        active++;
+        task().then(resolve, reject).finally(() => {
+            active--;
+            next();
+        });
+    }
+
+    const fetchImage = async (url) => {
+        for (let attempt = 1; ; attempt++) {
+            try {
+                const response = await sendHttpRequest({
+                    url,
+                    responseType: 'buffer',
+                    proxyUrl: proxyConfiguration ? await proxyConfiguration.newUrl() : undefined,
+                    timeout: { request: 60000 },
+                    retry: { limit: 0 },
+                });
+                if (response.statusCode === 200) return response;
+                // Client errors other than rate limiting will not go away on retry
+                if (response.statusCode < 500 && response.statusCode !== 429) {
+                    throw Object.assign(new Error(`HTTP ${response.statusCode}`), { permanent: true });
+                }
+                throw new Error(`HTTP ${response.statusCode}`);
+            } catch (error) {
+                if (error.permanent || attempt >= IMAGE_RETRY.attempts) throw error;
+                await new Promise(resolve => setTimeout(resolve, IMAGE_RETRY.backoffMs * 2 ** (attempt - 1)));
+            }
+        }
+    };
+
+    // Store a file unless an earlier run already did
+    const storeFile = async (key, body, contentType) => {
+        if (await store.recordExists(key)) {
+            stats.deduplicated++;
+            return;
+        }
+        await store.setValue(key, body, { contentType });
+        stats.downloaded++;
+        stats.bytes += body.length;
+    };
+
+    const downloadOne = async (sourceUrl) => {
+        const url = cdnSizedUrl(sourceUrl, size);
+        try {
+            const response = await fetchImage(url);
+            const body = response.body;
+            const contentType = `${response.headers['content-type'] || ''}`.split(';')[0].trim() || 'application/octet-stream';
+            const hash = createHash('sha256').update(body).digest('hex');
+            const key = `image-${hash.slice(0, 32)}${EXTENSIONS[contentType] ? `.${EXTENSIONS[contentType]}` : ''}`;
+
+            // The key is claimed before the first await, so concurrent downloads of the same file store it once
+            if (storedKeys.has(key)) {
+                stats.deduplicated++;
+            } else {
+                storedKeys.set(key, storeFile(key, body, contentType).catch((error) => {
+                    storedKeys.delete(key);
+                    throw error;
+                }));
+            }
+            await storedKeys.get(key);
+
+            return {
+                url: sourceUrl,
+                downloaded_url: url,
+                key,
+                hash,
+                ...imageDimensions(body),
+                bytes: body.length,
+                content_type: contentType,
+            };
+        } catch (error) {
+            stats.failed++;
+            log.debug(`Image download failed: ${url}`, { error: error.message });
+            return { url: sourceUrl, downloaded_url: url, key: null, error: error.message };
+        }
+    };
+
+    return {
+        stats,
+        /**
+         * Download an image once per URL; concurrent callers share the same download
+         * @param {string} url
+         */
+        download(url) {
+            if (!byUrl.has(url)) byUrl.set(url, schedule(() => downloadOne(url)));
+            return byUrl.get(url);
+        },
+    };
+};
@@ -1,9 +1,24 @@
 // Shopify Product Scraper - Production Grade Implementation
 import { Actor, log } from 'apify';
 import { CheerioCrawler, Dataset } from 'crawlee';
-import { gotScraping } from 'got-scraping';
 import { load as cheerioLoad } from 'cheerio';
 import * as helpers from './helpers.js';
+import * as snapshots from './snapshot.js';
+import { extractShopifyTheme, fetchStoreProfile } from './store-profile.js';
+import { EXPORT_FORMATS, createExporters } from './exports.js';
+import { filterProductRecords, parseProductFilters, withStorefrontFilters } from './filters.js';
+import { discoverStorefrontToken, fetchStorefrontProducts, supportsStorefrontMarket } from './storefront-graphql.js';
+import { collectReviews } from './reviews.js';
+import { extractSeoMetadata } from './seo.js';
+import { createImageDownloader } from './images.js';
+import { selectThemeProfile } from './theme-profiles.js';
+import { extractEmbeddedProducts } from './embedded-json.js';
+import { classifyError, classifyResponse, createFetchLayer, parseRetryAfter } from './fetch-layer.js';
+import { storefrontPasswordFor, unlockStorefront } from './storefront-password.js';
+import * as crawlState from './crawl-state.js';
+import { RECORDING_MODES, createHttpRecorder, useHttpRecorder } from './recording.js';
+import { createRunReport, loadDatasetSchema, renderReportHtml } from './run-report.js';
+import { HISTORY_RULE_TYPES, alertKey, evaluateAlertRules, parseAlertRules, sendAlertWebhook } from './alerts.js';
 
 await Actor.init();
 
@@ -12,13 +27,44 @@ async function main() {
         const input = (await Actor.getInput()) || {};
         const {
             shopUrl,
+            shopUrls = [],
+            verifyShopify = true,
             startUrls,
             collection,
             searchQuery = '',
+            searchQueries: searchQueriesInput = [],
             maxProducts = 50,
             maxPages = 999,
             includeVariants = true,
+            outputFormat = 'variants',
             includeOutOfStock = true,
+            filters: filtersInput,
+            enrichWithProductJs = false,
+            storefrontMetafields = [],
+            htmlSelectors = {},
+            includeReviews = false,
+            maxReviewsPerProduct = 0,
+            includeSeo = false,
+            downloadImages = false,
+            imageSize = '800x',
+            imagesStoreName = 'shopify-product-images',
+            imageDownloadConcurrency = 4,
+            useSitemap = false,
+            sitemapUpdatedSince,
+            markets: marketsInput = [],
+            includeStoreProfile = false,
+            storesDatasetName = 'shopify-stores',
+            collectionMembership = false,
+            collectionsDatasetName = 'shopify-collections',
+            changeDetection = false,
+            snapshotStoreName = 'shopify-product-snapshots',
+            exportFormats = [],
+            storefrontPasswords = {},
+            alertRules: alertRulesInput = [],
+            alertWebhookUrl = '',
+            alertWebhookSecret = '',
+            httpRecording = 'off',
+            recordingStoreName = 'shopify-http-recordings',
             proxyConfiguration,
         } = input;
 
@@ -33,16 +79,35 @@ async function main() {
 
         const MAX_PRODUCTS = Number.isFinite(+maxProducts) && maxProducts > 0 ? maxProducts : Number.MAX_SAFE_INTEGER;
         const MAX_PAGES = Number.isFinite(+maxPages) && maxPages > 0 ? maxPages : 999;
+        // A deeper JSON API page that fails is asked for again this often before the store counts as capping page depth
+        const JSON_PAGE_RETRIES = 2;
+
+        // Record or replay every HTTP exchange; replays never touch the network, so no proxy is needed
+        if (!RECORDING_MODES.includes(httpRecording)) {
+            throw new Error(`Unknown httpRecording mode "${httpRecording}". Use one of: ${RECORDING_MODES.join(', ')}`);
+        }
+        const recorder = httpRecording !== 'off'
+            ? await createHttpRecorder({ mode: httpRecording, store: await Actor.openKeyValueStore(recordingStoreName) })
+            : null;
+        useHttpRecorder(recorder);
 
         // Proxy configuration
-        const proxyConf = proxyConfiguration 
+        const proxyConf = proxyConfiguration && httpRecording !== 'replay'
             ? await Actor.createProxyConfiguration({ ...proxyConfiguration }) 
             : undefined;
 
-        if (!proxyConf) {
+        if (!proxyConf && httpRecording !== 'replay') {
             log.warning('No proxy configuration provided. This may lead to rate limiting.');
         }
 
+        // Every API request goes through one layer that shares the crawler's sessions and proxies,
+        // throttles per domain and classifies responses (rate limited, bot challenge, password page...)
+        const fetchLayer = createFetchLayer({ proxyConfiguration: proxyConf });
+
+        const searchQueries = helpers.uniqueNonEmptyArray(
+            [searchQuery, ...(Array.isArray(searchQueriesInput) ? searchQueriesInput : [])].map(q => `${q || ''}`.trim()),
+        );
+
         // Build initial URLs
         const initialUrls = [];
         
@@ -50,41 +115,238 @@ async function main() {
             initialUrls.push(...startUrls.map(u => typeof u === 'string' ? u : u.url).filter(Boolean));
         }
         
-        if (shopUrl) {
-            const baseUrl = helpers.normalizeShopifyUrl(shopUrl);
-            if (collection) {
+        const stores = helpers.uniqueNonEmptyArray(
+            [shopUrl, ...(Array.isArray(shopUrls) ? shopUrls : [])]
+                .map(u => `${u || ''}`.trim())
+                .filter(Boolean)
+                .map(helpers.normalizeShopifyUrl),
+        );
+
+        // State persisted by an earlier part of this run (migration, abort, restart); null on a fresh start
+        const resumed = await crawlState.loadCrawlState();
+
+        // Per-store state: limits, dedup and STATS all apply per store
+        const storeStates = new Map(Object.entries(resumed?.stores || {})
+            .map(([baseUrl, store]) => [baseUrl, crawlState.restoreStoreState(store)]));
+        function storeState(baseUrl) {
+            if (!storeStates.has(baseUrl)) {
+                storeStates.set(baseUrl, {
+                    status: 'scraped',
+                    signals: [],
+                    saved: 0,
+                    seen: new Set(),
+                    failed: 0,
+                    methods: {},
+                    startedAt: null,
+                    finishedAt: null,
+                });
+            }
+            return storeStates.get(baseUrl);
+        }
+
+        // Stores skipped before the resume stay skipped
+        const skippedStatuses = ['not_shopify', 'invalid_password'];
+
+        // Unlock password-protected storefronts before anything else is requested from them, so
+        // Shopify detection and sitemap discovery send the unlock cookies too. A rejected password
+        // drops the store from the crawl.
+        const failedUrls = resumed?.failedUrls || [];
+        for (const baseUrl of helpers.uniqueNonEmptyArray([...stores, ...initialUrls.map(helpers.getBaseDomain)])) {
+            const password = storefrontPasswordFor(storefrontPasswords, baseUrl);
+            if (!password) continue;
+            if (skippedStatuses.includes(storeStates.get(baseUrl)?.status)) {
+                initialUrls.splice(0, initialUrls.length, ...initialUrls.filter(url => helpers.getBaseDomain(url) !== baseUrl));
+                continue;
+            }
+
+            const result = await unlockStorefront(baseUrl, password, fetchLayer);
+            if (result === 'unlocked') {
+                log.info(`✓ Unlocked password-protected storefront ${baseUrl}`);
+            } else if (result === 'not_protected') {
+                log.info(`${baseUrl} is not password protected, ignoring its storefront password`);
+            } else if (result === 'unreachable') {
+                log.warning(`Could not check the storefront password of ${baseUrl}, crawling it anyway`);
+            } else {
+                log.error(`Storefront password for ${baseUrl} was rejected, skipping the store`);
+                storeState(baseUrl).status = 'invalid_password';
+                storeState(baseUrl).failed++;
+                const errorInfo = {
+                    url: baseUrl,
+                    error: 'Storefront password was rejected',
+                    category: 'invalid_password',
+                    timestamp: new Date().toISOString(),
+                };
+                failedUrls.push(errorInfo);
+                await Dataset.pushData({ '#failed': true, ...errorInfo });
+
+                const remaining = initialUrls.filter(url => helpers.getBaseDomain(url) !== baseUrl);
+                initialUrls.splice(0, initialUrls.length, ...remaining);
+            }
+        }
+
+        for (const baseUrl of stores) {
+            if (skippedStatuses.includes(storeStates.get(baseUrl)?.status)) continue;
+
+            if (verifyShopify && !storeStates.has(baseUrl)) {
+                const { isShopify, signals } = await helpers.detectShopify(baseUrl, fetchLayer);
+                storeState(baseUrl).signals = signals;
+
+                if (!isShopify) {
+                    log.warning(`${baseUrl} does not look like a Shopify store, skipping it`);
+                    storeState(baseUrl).status = 'not_shopify';
+                    await Dataset.pushData({
+                        '#notShopify': true,
+                        url: baseUrl,
+                        timestamp: new Date().toISOString(),
+                    });
+                    continue;
+                }
+            }
+
+            const sitemapProducts = useSitemap
+                ? await helpers.collectSitemapProductUrls(baseUrl, fetchLayer, {
+                    since: sitemapUpdatedSince || null,
+                    limit: MAX_PRODUCTS,
+                })
+                : [];
+
+            if (sitemapProducts.length) {
+                initialUrls.push(...sitemapProducts.map(p => p.url));
+            } else if (useSitemap && sitemapUpdatedSince) {
+                log.info(`No products in sitemaps of ${baseUrl} changed since ${sitemapUpdatedSince}`);
+            } else if (useSitemap) {
+                log.warning(`No product URLs found in sitemaps of ${baseUrl}, falling back to /collections/all`);
+                initialUrls.push(`${baseUrl}/collections/all`);
+            } else if (searchQueries.length) {
+                // Checked before collection, which always has the schema default 'all'
+                initialUrls.push(...searchQueries.map(q => `${baseUrl}/search?q=${encodeURIComponent(q)}&type=product`));
+            } else if (collection) {
                 initialUrls.push(`${baseUrl}/collections/${collection}`);
-            } else if (searchQuery) {
-                initialUrls.push(`${baseUrl}/search?q=${encodeURIComponent(searchQuery)}`);
             } else {
                 initialUrls.push(`${baseUrl}/collections/all`);
             }
         }
 
-        if (!initialUrls.length) {
-            throw new Error('Please provide either shopUrl or startUrls');
+        if (!stores.length && !initialUrls.length) {
+            throw new Error('Please provide either shopUrl, shopUrls or startUrls');
+        }
+
+        // Shopify Markets - every initial URL is scraped once per market
+        const markets = (Array.isArray(marketsInput) ? marketsInput : []).map(helpers.parseMarket).filter(Boolean);
+        if (markets.length) {
+            log.info(`Scraping ${markets.length} markets: ${markets.map(m => m.id).join(', ')}`);
+        }
+        const unpricedMarkets = markets.filter(m => !supportsStorefrontMarket(m));
+        if (unpricedMarkets.length) {
+            log.warning(`The Storefront API can't price ${unpricedMarkets.map(m => m.id).join(', ')} (currencies of several countries); stores without JSON endpoints are scraped from their pages in these markets`);
+        }
+
+        // Product filters; price, vendor and availability are also pushed down to storefront pages
+        const productFilters = parseProductFilters(filtersInput);
+        const storefrontFilters = (url) => withStorefrontFilters(url, productFilters, { inStockOnly: !includeOutOfStock });
+        if (productFilters) {
+            log.info(`Filtering products by: ${Object.keys(filtersInput).join(', ')}`);
+        }
+
+        // Alert rules are evaluated against every saved product; restock and new product rules compare with the snapshot
+        const alertRules = parseAlertRules(alertRulesInput);
+        if (!changeDetection && alertRules.some(rule => HISTORY_RULE_TYPES.includes(rule.type))) {
+            log.warning(`Alert rules of type ${HISTORY_RULE_TYPES.join(' and ')} need changeDetection and will not fire`);
         }
 
         log.info(`Starting scraper with ${initialUrls.length} initial URLs`);
 
         // State management
-        let saved = 0;
-        const seenProducts = new Set();
-        const failedUrls = [];
+        // Counts products; in the flat output format one product spans several dataset rows
+        let saved = resumed?.counters.saved ?? 0;
+        let totalRecords = resumed?.counters.totalRecords ?? 0;
+        const currencyCache = new Map();
+        const membership = new Map(resumed?.membership || []);
+        const membershipStores = new Set(resumed?.membershipStores || []);
+        const storeProfiles = new Map(resumed?.storeProfiles || []);
+        let changeEvents = resumed?.counters.changeEvents ?? 0;
+        let filteredOut = resumed?.counters.filteredOut ?? 0;
+        // One alert per rule, market and variant (or product), in the order they fired
+        const alerts = new Map((resumed?.alerts || []).map(item => [alertKey(item), item]));
+        // Data quality and page timings for the run report
+        const runReport = createRunReport({ schema: await loadDatasetSchema(), restored: resumed?.report });
+        // Image files are stored once per content hash in their own key-value store
+        const imageDownloader = downloadImages
+            ? createImageDownloader({
+                store: await Actor.openKeyValueStore(imagesStoreName),
+                size: imageSize,
+                concurrency: Math.max(1, +imageDownloadConcurrency || 4),
+                proxyConfiguration: proxyConf,
+            })
+            : null;
+
+        // HTML extraction profile per store, chosen from its Shopify.theme
+        const themeProfiles = new Map();
+
+        // Storefront API endpoint and token per store; null once the API turned out unusable
+        const storefrontApis = new Map();
+        const metafieldIdentifiers = helpers.uniqueNonEmptyArray([
+            ...(Array.isArray(storefrontMetafields) ? storefrontMetafields : []),
+            // Written by Shopify Product Reviews and most review apps
+            ...(includeReviews ? ['reviews.rating', 'reviews.rating_count'] : []),
+        ])
+            .map(id => `${id}`.split('.'))
+            .filter(parts => parts.length >= 2)
+            .map(([namespace, ...key]) => ({ namespace, key: key.join('.') }));
+
+        // Export feeds receive every saved product's records and are written after the crawl
+        const exporters = createExporters(Array.isArray(exportFormats) ? exportFormats : [], {
+            title: stores.length === 1 ? stores[0] : 'Shopify products',
+            link: stores[0] || '',
+        });
+
+        // Change detection: the previous run's snapshot is keyed by what this run covers
+        const snapshotStore = changeDetection ? await Actor.openKeyValueStore(snapshotStoreName) : null;
+        const snapshotRecordKey = `SNAPSHOT-${snapshots.shortHash(JSON.stringify({
+            stores: [...stores].sort(),
+            startUrls: (Array.isArray(startUrls) ? startUrls : []).map(u => typeof u === 'string' ? u : u.url).sort(),
+            mode: useSitemap ? 'sitemap' : (searchQueries.length ? searchQueries : collection),
+            markets: markets.map(m => m.id),
+            filters: productFilters ? filtersInput : undefined,
+        }))}`;
+        const snapshot = snapshotStore
+            ? { previous: (await snapshotStore.getValue(snapshotRecordKey))?.products || {}, next: {} }
+            : null;
+        // Restock and new product alerts need an earlier run to compare with
+        const hasHistory = !!snapshot && Object.keys(snapshot.previous).length > 0;
+
+        if (imageDownloader && resumed?.images) Object.assign(imageDownloader.stats, resumed.images);
+        if (resumed?.responseCategories) fetchLayer.restoreCategories(resumed.responseCategories);
+        if (snapshot && resumed?.snapshotNext) snapshot.next = resumed.snapshotNext;
+
+        // Export feeds are built in memory; refill them with the products pushed before the resume.
+        // Change events do not carry full records, so feeds of change detection runs cannot be refilled.
+        if (resumed && Object.keys(exporters).length) {
+            if (snapshot) {
+                log.warning('Export feeds of a resumed change detection run only contain products saved after the resume');
+            } else {
+                await (await Actor.openDataset()).forEach((item) => {
+                    for (const record of crawlState.recordsFromDatasetItem(item)) {
+                        Object.values(exporters).forEach(exporter => exporter.add(record));
+                    }
+                });
+            }
+        }
+
+        if (snapshot) {
+            const previousCount = Object.keys(snapshot.previous).length;
+            log.info(previousCount
+                ? `Loaded snapshot ${snapshotRecordKey} with ${previousCount} products`
+                : `No snapshot ${snapshotRecordKey} yet, every product is reported as new`);
+        }
 
         // Try to fetch products via Shopify JSON API
-        async function fetchProductsViaJsonApi(baseUrl, page = 1) {
+        async function fetchProductsViaJsonApi(baseUrl, page = 1, market = null) {
             try {
-                const jsonUrl = `${baseUrl}/products.json?limit=250&page=${page}`;
+                const jsonUrl = helpers.withMarket(`${baseUrl}/products.json?limit=250&page=${page}`, market);
                 log.debug(`Fetching JSON API: ${jsonUrl}`);
                 
-                const response = await gotScraping({
-                    url: jsonUrl,
-                    responseType: 'json',
-                    proxyUrl: proxyConf ? await proxyConf.newUrl() : undefined,
-                    timeout: { request: 30000 },
-                    retry: { limit: 2 },
-                });
+                const response = await fetchLayer.request(jsonUrl);
 
                 if (response.statusCode === 200 && response.body?.products) {
                     log.info(`✓ JSON API returned ${response.body.products.length} products (page ${page})`);
@@ -99,18 +361,12 @@ async function main() {
         }
 
         // Fetch collection products via JSON API
-        async function fetchCollectionViaJsonApi(collectionUrl, page = 1) {
+        async function fetchCollectionViaJsonApi(collectionUrl, page = 1, market = null) {
             try {
-                const collectionJsonUrl = `${collectionUrl}/products.json?limit=250&page=${page}`;
+                const collectionJsonUrl = helpers.withMarket(`${collectionUrl}/products.json?limit=250&page=${page}`, market);
                 log.debug(`Fetching collection JSON: ${collectionJsonUrl}`);
                 
-                const response = await gotScraping({
-                    url: collectionJsonUrl,
-                    responseType: 'json',
-                    proxyUrl: proxyConf ? await proxyConf.newUrl() : undefined,
-                    timeout: { request: 30000 },
-                    retry: { limit: 2 },
-                });
+                const response = await fetchLayer.request(collectionJsonUrl);
 
                 if (response.statusCode === 200 && response.body?.products) {
                     log.info(`✓ Collection JSON API returned ${response.body.products.length} products (page ${page})`);
@@ -125,18 +381,12 @@ async function main() {
         }
 
         // Fetch individual product via JSON API
-        async function fetchSingleProductJson(productUrl) {
+        async function fetchSingleProductJson(productUrl, market = null) {
             try {
-                const jsonUrl = `${productUrl}.json`;
+                const jsonUrl = helpers.withMarket(`${productUrl}.json`, market);
                 log.debug(`Fetching product JSON: ${jsonUrl}`);
                 
-                const response = await gotScraping({
-                    url: jsonUrl,
-                    responseType: 'json',
-                    proxyUrl: proxyConf ? await proxyConf.newUrl() : undefined,
-                    timeout: { request: 30000 },
-                    retry: { limit: 2 },
-                });
+                const response = await fetchLayer.request(jsonUrl);
 
                 if (response.statusCode === 200 && response.body?.product) {
                     return response.body.product;
@@ -149,6 +399,252 @@ async function main() {
             }
         }
 
+        // Fetch the storefront /products/<handle>.js payload (prices in cents, media, selling plans)
+        async function fetchProductJs(productUrl, market = null) {
+            try {
+                const jsUrl = helpers.withMarket(`${productUrl}.js`, market);
+                log.debug(`Fetching product JS: ${jsUrl}`);
+
+                const response = await fetchLayer.request(jsUrl);
+
+                if (response.statusCode === 200 && response.body?.variants) {
+                    return response.body;
+                }
+
+                return null;
+            } catch (err) {
+                log.debug(`Product JS endpoint failed for ${productUrl}: ${err.message}`);
+                return null;
+            }
+        }
+
+        // Fetch a product's HTML page, for data only the storefront page has
+        async function fetchProductPage(productUrl, market = null) {
+            try {
+                const response = await fetchLayer.request(helpers.withMarket(productUrl, market), { responseType: 'text' });
+
+                return response.ok ? cheerioLoad(response.body) : null;
+            } catch (err) {
+                log.debug(`Product page failed for ${productUrl}: ${err.message}`);
+                return null;
+            }
+        }
+
+        // GET a third-party JSON endpoint (review apps)
+        async function fetchJson(url) {
+            try {
+                const response = await fetchLayer.request(url);
+
+                return response.ok ? response.body : null;
+            } catch (err) {
+                log.debug(`JSON request failed for ${url}: ${err.message}`);
+                return null;
+            }
+        }
+
+        // Fetch the store's collection list via JSON API
+        async function fetchCollectionsViaJsonApi(baseUrl, page = 1, market = null) {
+            try {
+                const jsonUrl = helpers.withMarket(`${baseUrl}/collections.json?limit=250&page=${page}`, market);
+                log.debug(`Fetching collections JSON: ${jsonUrl}`);
+
+                const response = await fetchLayer.request(jsonUrl);
+
+                if (response.statusCode === 200 && response.body?.collections) {
+                    return response.body.collections;
+                }
+
+                return null;
+            } catch (err) {
+                log.debug(`Collections JSON API failed for ${baseUrl}: ${err.message}`);
+                return null;
+            }
+        }
+
+        // Fetch product handles from the predictive search endpoint, in ranking order
+        async function fetchSearchSuggestions(baseUrl, query, market = null) {
+            try {
+                const suggestUrl = helpers.withMarket(
+                    `${baseUrl}/search/suggest.json?q=${encodeURIComponent(query)}&resources[type]=product&resources[limit]=10`,
+                    market,
+                );
+                log.debug(`Fetching search suggestions: ${suggestUrl}`);
+
+                const response = await fetchLayer.request(suggestUrl);
+
+                const hits = response.body?.resources?.results?.products;
+                if (response.statusCode === 200 && Array.isArray(hits)) {
+                    return hits.map(hit => hit.handle).filter(Boolean);
+                }
+
+                return [];
+            } catch (err) {
+                log.debug(`Search suggest API failed for "${query}": ${err.message}`);
+                return [];
+            }
+        }
+
+        // Queue the next page of an API listing as a request of its own, so no handler walks a whole
+        // listing. It needs no page load; the handler only calls the API.
+        async function enqueueApiPage(request, kind, listing) {
+            await crawler.addRequests([{
+                url: request.url,
+                uniqueKey: `${request.url}#${kind}-page-${listing.page}`,
+                skipNavigation: true,
+                userData: { ...request.userData, [kind]: listing },
+            }]);
+        }
+
+        // Save one products.json page of a listing and queue the next one.
+        // Returns null when the first page yields nothing, so callers can fall back to HTML.
+        async function handleJsonApiPage(request, listing, baseUrl, context, crawlerLog) {
+            const { collectionUrl = null, page, previousIds = [] } = listing;
+            const store = storeState(baseUrl);
+            const fetchPage = () => (collectionUrl
+                ? fetchCollectionViaJsonApi(collectionUrl, page, context.market)
+                : fetchProductsViaJsonApi(baseUrl, page, context.market));
+            let pageProducts = await fetchPage();
+            if (page === 1 && !pageProducts?.length) return null;
+
+            // One failed response can be a hiccup (a theme error page, a dropped connection) rather than the cap
+            for (let retry = 1; !pageProducts && retry <= JSON_PAGE_RETRIES; retry++) {
+                crawlerLog.debug(`JSON API page ${page} failed, asking again (${retry}/${JSON_PAGE_RETRIES})`);
+                await new Promise(resolve => setTimeout(resolve, 2000 * retry));
+                pageProducts = await fetchPage();
+            }
+
+            // A page that keeps failing after successful ones means the store stopped serving deeper pages;
+            // some stores keep returning their last allowed page for any deeper page number instead
+            const fresh = (pageProducts || []).filter(p => !previousIds.includes(p.id));
+            const capped = !pageProducts || (pageProducts.length > 0 && fresh.length === 0);
+
+            const savedCount = await saveProducts(fresh, baseUrl, context);
+            if (fresh.length) {
+                crawlerLog.info(`✓ Saved ${savedCount} of ${fresh.length} products via JSON API page ${page} (Store total: ${store.saved}/${MAX_PRODUCTS})`);
+                recordMethod(store, 'json_api', savedCount);
+            }
+
+            if (capped) {
+                if (!request.userData?.slice && store.saved < MAX_PRODUCTS) {
+                    crawlerLog.warning(`Store caps JSON API page depth at page ${page}, slicing by collection`);
+                    await enqueueCollectionSlices(baseUrl, collectionUrl, context.market);
+                }
+            } else if (fresh.length && page < MAX_PAGES && store.saved < MAX_PRODUCTS) {
+                await enqueueApiPage(request, 'jsonApi', { collectionUrl, page: page + 1, previousIds: fresh.map(p => p.id) });
+            }
+            return { savedCount };
+        }
+
+        // Save one Storefront API page of a collection, the whole catalog or a single product and
+        // queue the next one. Returns null when the request fails, so callers can fall back to JSON-LD and HTML.
+        async function handleStorefrontPage(request, listing, baseUrl, context, crawlerLog) {
+            const { api, page, after = null } = listing;
+            const url = request.url;
+            const collectionHandle = helpers.isCollectionUrl(url) ? helpers.extractCollectionHandle(url) : null;
+            const productHandle = helpers.isProductUrl(url) ? url.split('?')[0].match(/\/products\/([^/]+)/)?.[1] : null;
+            const store = storeState(baseUrl);
+
+            const result = await fetchStorefrontProducts(api, {
+                // The `all` collection is virtual and not exposed by the API
+                collectionHandle: collectionHandle === 'all' ? null : collectionHandle,
+                productHandle,
+                after,
+                metafields: metafieldIdentifiers,
+                market: context.market,
+            }, fetchLayer);
+            if (!result) return null;
+
+            const savedCount = await saveProducts(result.products, baseUrl, context);
+            crawlerLog.info(`✓ Saved ${savedCount} of ${result.products.length} products via Storefront API page ${page} (Store total: ${store.saved}/${MAX_PRODUCTS})`);
+            recordMethod(store, 'storefront_graphql', savedCount);
+
+            if (result.hasNextPage && page < MAX_PAGES && store.saved < MAX_PRODUCTS) {
+                await enqueueApiPage(request, 'storefront', { api, page: page + 1, after: result.endCursor });
+            }
+            return { savedCount };
+        }
+
+        // Page through /collections.json until it comes back empty
+        async function fetchAllCollections(baseUrl, market = null) {
+            const collections = [];
+
+            for (let page = 1; page <= MAX_PAGES; page++) {
+                const batch = await fetchCollectionsViaJsonApi(baseUrl, page, market);
+                if (!batch || batch.length === 0) break;
+                collections.push(...batch);
+            }
+
+            return collections;
+        }
+
+        // Enqueue every collection separately so capped listings are enumerated in smaller slices
+        async function enqueueCollectionSlices(baseUrl, skipUrl, market = null) {
+            const requests = [];
+
+            for (const { handle } of await fetchAllCollections(baseUrl, market)) {
+                const url = helpers.withMarket(storefrontFilters(`${baseUrl}/collections/${handle}`), market);
+                if (handle === 'all' || url.split('?')[0] === skipUrl) continue;
+                requests.push({ url, userData: { pageNo: 1, slice: true, market } });
+            }
+
+            log.info(`Enqueued ${requests.length} collection slices for ${baseUrl}`);
+            if (requests.length) await crawler.addRequests(requests);
+        }
+
+        // Walk every collection's products.json, recording which collections each product
+        // belongs to, and emit one record per collection to its own dataset
+        async function discoverCollectionMembership(baseUrl, dataset) {
+            const collections = await fetchAllCollections(baseUrl);
+            log.info(`Found ${collections.length} collections on ${baseUrl}`);
+
+            for (const collection of collections) {
+                const collectionUrl = `${baseUrl}/collections/${collection.handle}`;
+                const productIds = new Set();
+
+                for (let page = 1; page <= MAX_PAGES; page++) {
+                    const products = await fetchCollectionViaJsonApi(collectionUrl, page);
+                    const fresh = (products || []).filter(p => !productIds.has(p.id));
+                    if (fresh.length === 0) break;
+
+                    for (const product of fresh) {
+                        productIds.add(product.id);
+                        const id = helpers.removeGuid(product.id);
+                        if (!membership.has(id)) membership.set(id, []);
+                        // A store interrupted halfway is walked again after a resume
+                        if (membership.get(id).some(c => c.handle === collection.handle)) continue;
+                        membership.get(id).push({ handle: collection.handle, title: collection.title || null });
+                    }
+                }
+
+                await dataset.pushData(helpers.transformCollection(collection, baseUrl, productIds.size));
+            }
+        }
+
+        // Resolve the currency prices are shown in, once per store and market.
+        // Page HTML (Shopify.currency) reflects the market best, /cart.js and /meta.json are fallbacks.
+        async function resolveCurrency(baseUrl, market, $) {
+            const key = `${baseUrl}|${market?.id || ''}`;
+            if (currencyCache.has(key)) return currencyCache.get(key);
+
+            let currency = $ ? helpers.extractShopifyCurrency($.html()) : null;
+
+            for (const endpoint of ['/cart.js', '/meta.json']) {
+                if (currency) break;
+                try {
+                    const response = await fetchLayer.request(helpers.withMarket(`${baseUrl}${endpoint}`, market), { retries: 1 });
+                    if (response.statusCode === 200 && response.body?.currency) {
+                        currency = `${response.body.currency}`.toUpperCase();
+                    }
+                } catch (err) {
+                    log.debug(`Currency lookup via ${endpoint} failed for ${baseUrl}: ${err.message}`);
+                }
+            }
+
+            log.info(`Detected currency for ${baseUrl}${market ? ` (${market.id})` : ''}: ${currency || 'unknown'}`);
+            currencyCache.set(key, currency);
+            return currency;
+        }
+
         // Extract product from JSON-LD
         function extractFromJsonLd($, baseUrl) {
             try {
@@ -164,22 +660,27 @@ async function main() {
                         if (!item) continue;
                         const type = item['@type'];
                         if (type === 'Product') {
-                            const offers = item.offers;
-                            const price = offers?.price || offers?.[0]?.price || null;
-                            const currency = offers?.priceCurrency || offers?.[0]?.priceCurrency || 'USD';
-                            const availability = offers?.availability || offers?.[0]?.availability || null;
-                            const inStock = availability ? availability.includes('InStock') : true;
+                            // One offer per variant, in the products.json shape transformProduct expects
+                            const offers = [item.offers].flat().filter(Boolean);
+                            const url = item.url || item.offers?.url || item['@id'] || '';
+                            const images = item.image ? (Array.isArray(item.image) ? item.image : [item.image]) : [];
 
                             return {
                                 title: item.name || null,
+                                handle: `${url}`.match(/\/products\/([^/?#]+)/)?.[1] || null,
                                 description: item.description || null,
                                 vendor: item.brand?.name || null,
                                 product_type: item.category || null,
-                                price: price ? parseFloat(price) : null,
-                                currency,
-                                available: inStock,
-                                images: item.image ? (Array.isArray(item.image) ? item.image : [item.image]) : [],
-                                sku: offers?.sku || offers?.[0]?.sku || null,
+                                currency: offers[0]?.priceCurrency || null,
+                                variants: offers.map(offer => ({
+                                    id: `${offer.url || ''}`.match(/[?&]variant=(\d+)/)?.[1] || null,
+                                    title: offer.name && offer.name !== item.name ? offer.name : null,
+                                    price: offer.price ?? null,
+                                    sku: offer.sku || null,
+                                    barcode: offer.gtin13 || offer.gtin12 || offer.gtin || null,
+                                    available: offer.availability ? `${offer.availability}`.includes('InStock') : true,
+                                })),
+                                images: images.map(image => ({ src: typeof image === 'string' ? image : image.url })),
                             };
                         }
                     }
@@ -190,55 +691,54 @@ async function main() {
             return null;
         }
 
-        // Parse products from HTML (fallback)
-        function parseProductsFromHtml($, baseUrl) {
+        // Parse product cards from listing HTML (fallback) with the theme's selector profile,
+        // into the products.json shape transformProduct expects
+        function parseProductsFromHtml($, baseUrl, profile) {
             const products = [];
-            const productSelectors = [
-                '.product-item',
-                '.product-card',
-                '[data-product-id]',
-                '.grid-product',
-                '.product',
-                'article[data-product]',
-            ];
-
-            let productElements = [];
-            for (const selector of productSelectors) {
-                productElements = $(selector);
-                if (productElements.length > 0) {
-                    log.debug(`Found ${productElements.length} products using selector: ${selector}`);
-                    break;
-                }
-            }
+            const { selectors } = profile;
+            // Selector lists are in order of preference, not document order
+            const pick = ($el, selectorList) => selectorList.split(',')
+                .map(selector => $el.find(selector.trim()).first())
+                .find($match => $match.length) || $el.find(selectorList).first();
+            const absolute = (src) => (src && !src.startsWith('http') ? new URL(src, `${baseUrl}/`).toString() : src || null);
+
+            const productElements = $(selectors.card);
+            log.debug(`Found ${productElements.length} products using ${profile.name} profile`);
 
             productElements.each((_, el) => {
                 try {
                     const $el = $(el);
                     
-                    const title = $el.find('.product-title, .product-card__title, h3, h2, a').first().text().trim() || null;
-                    const link = $el.find('a[href*="/products/"]').first().attr('href') || $el.find('a').first().attr('href');
-                    const url = link ? (link.startsWith('http') ? link : `${baseUrl}${link}`) : null;
-                    const handle = url ? url.split('/products/')[1]?.split('?')[0] : null;
+                    const title = pick($el, selectors.title).text().replace(/\s+/g, ' ').trim() || null;
+                    const link = $el.find(selectors.link).filter((_, a) => `${$(a).attr('href') || ''}`.includes('/products/')).first().attr('href')
+                        || ($el.is('a') ? $el.attr('href') : null);
+                    const url = link ? absolute(link) : null;
+                    const handle = url ? url.split('/products/')[1]?.split(/[?#/]/)[0] : null;
                     
-                    const priceText = $el.find('.price, [class*="price"], .product-price').first().text().trim();
-                    const priceMatch = priceText.match(/[\d,]+\.?\d*/);
-                    const price = priceMatch ? parseFloat(priceMatch[0].replace(/,/g, '')) : null;
+                    const price = helpers.parsePriceText(pick($el, selectors.price).text());
+                    const comparePrice = selectors.comparePrice
+                        ? helpers.parsePriceText(pick($el, selectors.comparePrice).text())
+                        : null;
                     
-                    const img = $el.find('img').first();
+                    const img = $el.find(selectors.image).addBack(selectors.image).filter('img').first();
                     const imageSrc = img.attr('src') || img.attr('data-src') || img.attr('data-srcset')?.split(' ')[0];
-                    const image = imageSrc ? (imageSrc.startsWith('http') ? imageSrc : `https:${imageSrc}`) : null;
+                    const image = imageSrc ? absolute(imageSrc.startsWith('//') ? `https:${imageSrc}` : imageSrc) : null;
 
-                    const soldOutText = $el.text().toLowerCase();
-                    const available = !soldOutText.includes('sold out') && !soldOutText.includes('unavailable');
+                    const available = selectors.soldOut
+                        ? $el.find(selectors.soldOut).length === 0 && !$el.is(selectors.soldOut)
+                        : !/sold out|unavailable/i.test($el.text());
 
-                    if (title || url) {
+                    if (handle) {
                         products.push({
                             title,
                             handle,
                             url,
-                            price,
-                            available,
-                            images: image ? [image] : [],
+                            variants: [{
+                                price: price !== null ? `${price}` : null,
+                                compare_at_price: comparePrice !== null && comparePrice > price ? `${comparePrice}` : null,
+                                available,
+                            }],
+                            images: image ? [{ src: image }] : [],
                         });
                     }
                 } catch (err) {
@@ -266,50 +766,214 @@ async function main() {
         }
 
         // Save products to dataset
-        async function saveProducts(products, baseUrl) {
+        async function saveProducts(products, baseUrl, { market = null, currency = null, scope = null, fields = {}, productPage = null } = {}) {
             if (!products || products.length === 0) return 0;
 
+            const store = storeState(baseUrl);
             let savedCount = 0;
 
             for (const product of products) {
-                if (saved >= MAX_PRODUCTS) break;
+                if (store.saved >= MAX_PRODUCTS) break;
 
-                const productUrl = product.url || `${baseUrl}/products/${product.handle}`;
+                // Markets scrape the same product once per market, searches once per query
+                const productUrl = helpers.withMarket(product.url || `${baseUrl}/products/${product.handle}`, market);
+                const seenKey = scope ? `${productUrl}#${scope}` : productUrl;
                 
                 // Skip if already scraped
-                if (seenProducts.has(productUrl)) continue;
-                
-                // Skip out of stock if not included
-                if (!includeOutOfStock && product.available === false) continue;
+                if (store.seen.has(seenKey)) continue;
+
+                // Change detection skips products whose updated_at matches the snapshot. Products from the
+                // HTML and JSON-LD fallbacks may lack an id; they are tracked by handle, or by URL.
+                const productKey = helpers.removeGuid(product.id) || (product.handle ? `handle:${product.handle}` : productUrl);
+                const snapshotKey = snapshot ? snapshots.snapshotProductKey(productKey, market?.id) : null;
+                const previous = snapshotKey ? snapshot.previous[snapshotKey] : undefined;
+                const updatedAt = helpers.safeIsoDate(product.updated_at || product.updatedAt);
+
+                if (previous && updatedAt && previous.updated_at === updatedAt) {
+                    snapshot.next[snapshotKey] = previous;
+                    store.seen.add(seenKey);
+                    continue;
+                }
+
+                // A product found by several search queries is diffed once per run
+                if (snapshotKey && snapshotKey in snapshot.next) {
+                    store.seen.add(seenKey);
+                    continue;
+                }
+
+                const productJs = enrichWithProductJs && product.handle
+                    ? await fetchProductJs(`${baseUrl}/products/${product.handle}`, market)
+                    : null;
 
                 // Transform and save
-                const transformed = helpers.transformProduct(product, baseUrl, includeVariants);
+                const transformed = helpers.transformProduct(product, baseUrl, includeVariants, {
+                    currency,
+                    market: market?.id,
+                    productJs,
+                });
                 
-                if (transformed) {
-                    const items = Array.isArray(transformed) ? transformed : [transformed];
-                    
-                    for (const item of items) {
-                        if (saved >= MAX_PRODUCTS) break;
-                        await Dataset.pushData(item);
-                        saved++;
-                        savedCount++;
+                const unfiltered = [transformed].flat().filter(Boolean);
+                const records = filterProductRecords(unfiltered, productFilters, { inStockOnly: !includeOutOfStock });
+                if (records.length === 0) {
+                    if (unfiltered.length) filteredOut++;
+                    continue;
+                }
+
+                if (alertRules.length) {
+                    for (const item of evaluateAlertRules(alertRules, records, { previous, hasHistory })) {
+                        if (!alerts.has(alertKey(item))) alerts.set(alertKey(item), item);
                     }
-                    
-                    seenProducts.add(productUrl);
                 }
+                runReport.addRecords(baseUrl, records);
+
+                for (const exporter of Object.values(exporters)) {
+                    records.forEach(record => exporter.add(record));
+                }
+
+                // Each record lists the stored files of its own images, in the same order
+                if (imageDownloader) {
+                    const files = new Map(await Promise.all(helpers.uniqueNonEmptyArray(records.flatMap(r => r.images || []))
+                        .map(async url => [url, await imageDownloader.download(url)])));
+                    records.forEach((record) => {
+                        record.image_files = (record.images || []).map(url => files.get(url));
+                    });
+                }
+
+                // Reviews and SEO need the product's HTML page; the crawled page is reused when it is that page
+                const page = includeReviews || includeSeo
+                    ? (products.length === 1 && productPage) || await fetchProductPage(`${baseUrl}/products/${records[0].handle}`, market)
+                    : null;
+                const reviews = includeReviews
+                    ? await collectReviews({ $: page, product: records[0], limit: maxReviewsPerProduct, getJson: fetchJson })
+                    : {};
+
+                const extras = {
+                    ...reviews,
+                    ...(includeSeo ? { seo: page ? extractSeoMetadata(page) : null } : {}),
+                    ...(includeStoreProfile ? { store: storeProfiles.get(baseUrl) || null } : {}),
+                    ...(collectionMembership ? { collections: membership.get(records[0].id) || records[0].collections || [] } : {}),
+                    ...fields,
+                };
+
+                if (snapshot) {
+                    const events = snapshots.diffProduct(previous, records, {
+                        allVariants: includeVariants && records.length === unfiltered.length,
+                    });
+                    await Dataset.pushData(events);
+                    changeEvents += events.length;
+                    snapshot.next[snapshotKey] = snapshots.buildSnapshotEntry(records);
+                } else if (outputFormat === 'products') {
+                    const item = { ...helpers.nestVariants(records, product), ...extras };
+                    item.content_hash = helpers.contentHash(item);
+                    runReport.validate(baseUrl, item);
+                    await Dataset.pushData(item);
+                    totalRecords++;
+                } else {
+                    // Hashed last, so collections, reviews, SEO and the other extras count too
+                    const items = records.map(record => ({ ...record, ...extras }));
+                    items.forEach((item) => { item.content_hash = helpers.contentHash(item); });
+                    items.forEach(item => runReport.validate(baseUrl, item));
+                    await Dataset.pushData(items);
+                    totalRecords += records.length;
+                }
+
+                saved++;
+                store.saved++;
+                savedCount++;
+                store.seen.add(seenKey);
             }
 
             return savedCount;
         }
 
+        // Count saved products per extraction method and track store activity for STATS
+        function recordMethod(store, method, count) {
+            if (count > 0) store.methods[method] = (store.methods[method] || 0) + count;
+            store.finishedAt = Date.now();
+        }
+
+        // Resolve search result hits to full product JSON, tagged with query and rank
+        async function handleSearchPage(request, $, baseUrl, context, crawlerLog) {
+            const { market } = context;
+            const query = helpers.extractSearchQuery(request.url);
+            const pageNo = request.userData?.pageNo || 1;
+            const rankOffset = request.userData?.rankOffset || 0;
+
+            // The results page sets the ranking; predictive search covers pages rendered client-side
+            const pageHandles = helpers.extractProductHandles($);
+            const handles = pageHandles.length || pageNo > 1
+                ? pageHandles
+                : await fetchSearchSuggestions(baseUrl, query, market);
+
+            crawlerLog.info(`Search "${query}" page ${pageNo}: ${handles.length} hits`);
+
+            const store = storeState(baseUrl);
+            const scope = `search:${query}`;
+            let savedCount = 0;
+            let freshHits = 0;
+            for (const [index, handle] of handles.entries()) {
+                if (store.saved >= MAX_PRODUCTS) break;
+
+                // Stores past their last results page often repeat earlier hits
+                const productUrl = helpers.withMarket(`${baseUrl}/products/${handle}`, market).split('?')[0];
+                if (store.seen.has(`${helpers.withMarket(productUrl, market)}#${scope}`)) continue;
+                freshHits++;
+
+                const product = await fetchSingleProductJson(productUrl, market);
+                if (!product) {
+                    crawlerLog.debug(`Could not resolve search hit ${handle}`);
+                    continue;
+                }
+
+                savedCount += await saveProducts([product], baseUrl, {
+                    ...context,
+                    scope,
+                    fields: { search_query: query, search_rank: rankOffset + index + 1 },
+                });
+            }
+
+            crawlerLog.info(`Saved ${savedCount} products for "${query}" (Store total: ${store.saved}/${MAX_PRODUCTS})`);
+            recordMethod(store, 'search', savedCount);
+
+            if (pageHandles.length && freshHits && store.saved < MAX_PRODUCTS && pageNo < MAX_PAGES) {
+                const nextPage = new URL(request.url);
+                nextPage.searchParams.set('page', pageNo + 1);
+                await crawler.addRequests([{
+                    url: nextPage.toString(),
+                    userData: { pageNo: pageNo + 1, market, rankOffset: rankOffset + pageHandles.length },
+                }]);
+            }
+        }
+
+        // Page attempts are timed from navigation until their handler finishes or fails
+        const pageStarts = new Map();
+        function finishPage(request, statusCode, ok) {
+            if (!pageStarts.has(request.id)) return;
+            runReport.page({ url: request.url, statusCode, attempt: request.retryCount + 1, durationMs: Date.now() - pageStarts.get(request.id), ok });
+            pageStarts.delete(request.id);
+        }
+        function timePage(handler) {
+            return async (context) => {
+                let ok = false;
+                try {
+                    await handler(context);
+                    ok = true;
+                } finally {
+                    finishPage(context.request, context.response?.statusCode ?? null, ok);
+                }
+            };
+        }
+
         // Main crawler
         const crawler = new CheerioCrawler({
             proxyConfiguration: proxyConf,
+            httpClient: recorder?.httpClient,
             maxRequestRetries,
             useSessionPool: true,
             persistCookiesPerSession: false,
             maxConcurrency,
-            requestHandlerTimeoutSecs: 60,
+            // API listing pages save up to 250 products each, with per-product requests when enriching
+            requestHandlerTimeoutSecs: enrichWithProductJs || includeReviews || includeSeo || downloadImages ? 600 : 120,
             sessionPoolOptions: {
                 maxPoolSize: 20,
                 sessionOptions: {
@@ -317,89 +981,188 @@ async function main() {
                     maxUsageCount: 50,
                 },
             },
-            
-            async requestHandler({ request, $, log: crawlerLog }) {
-                if (saved >= MAX_PRODUCTS) {
-                    crawlerLog.info(`Reached maximum products limit (${MAX_PRODUCTS})`);
+
+            // Page requests wait for the same per-domain slots as API requests
+            preNavigationHooks: [
+                async ({ request }, gotOptions) => {
+                    await fetchLayer.throttle(request.url);
+                    pageStarts.set(request.id, Date.now());
+                    // Storefront password cookies; crawler sessions do not persist cookies themselves
+                    const cookie = fetchLayer.cookieHeader(request.url);
+                    if (cookie) gotOptions.headers = { ...gotOptions.headers, cookie };
+                },
+            ],
+
+            requestHandler: timePage(async ({ request, response, body, $, session, log: crawlerLog }) => {
+                const baseUrl = helpers.getBaseDomain(request.url);
+                const store = storeState(baseUrl);
+                store.startedAt ??= Date.now();
+
+                // Challenge and password pages come back as 200s; retrying cannot get past a password.
+                // Deeper API listing pages load no page, there is nothing to classify.
+                if (!request.skipNavigation) {
+                    const category = classifyResponse({ statusCode: response.statusCode, headers: response.headers, body: `${body}`, url: request.loadedUrl }, request.url);
+                    if (category === 'bot_challenge' || category === 'password_page') {
+                        session?.retire();
+                        if (category === 'password_page') request.noRetry = true;
+                        throw Object.assign(new Error(`Storefront responded with a ${category.replace('_', ' ')}`), { category });
+                    }
+                    fetchLayer.record(request.url, category);
+                }
+
+                if (store.saved >= MAX_PRODUCTS) {
+                    crawlerLog.info(`Reached maximum products limit (${MAX_PRODUCTS}) for ${baseUrl}`);
                     return;
                 }
 
-                const baseUrl = helpers.getBaseDomain(request.url);
                 const pageNo = request.userData?.pageNo || 1;
+                const market = request.userData?.market || null;
 
                 if (pageNo > MAX_PAGES) {
                     crawlerLog.info(`Reached max pages limit (${MAX_PAGES})`);
                     return;
                 }
 
-                crawlerLog.info(`Processing page ${pageNo}: ${request.url} (${saved}/${MAX_PRODUCTS} products)`);
+                const { jsonApi, storefront } = request.userData;
+                const apiPage = jsonApi?.page ?? storefront?.page;
+                crawlerLog.info(`Processing ${apiPage ? `API page ${apiPage}` : `page ${pageNo}`}: ${request.url} (${store.saved}/${MAX_PRODUCTS} products)`);
 
+                const context = {
+                    market,
+                    currency: await resolveCurrency(baseUrl, market, $),
+                    productPage: helpers.isProductUrl(request.url) ? $ : null,
+                };
+
+                if (jsonApi || storefront) {
+                    const listing = jsonApi
+                        ? await handleJsonApiPage(request, jsonApi, baseUrl, context, crawlerLog)
+                        : await handleStorefrontPage(request, storefront, baseUrl, context, crawlerLog);
+                    if (!listing) crawlerLog.warning(`API page ${apiPage} of ${request.url} did not answer, the listing stops there`);
+                    return;
+                }
                 let products = [];
+                let method = null;
 
-                // Priority 1: Try JSON API for collection pages
-                if (request.url.includes('/collections/')) {
-                    const collectionProducts = await fetchCollectionViaJsonApi(request.url.split('?')[0], pageNo);
-                    if (collectionProducts && collectionProducts.length > 0) {
-                        products = collectionProducts;
-                        crawlerLog.info(`✓ Extracted ${products.length} products via Collection JSON API`);
-                    }
-                } else if (helpers.isProductUrl(request.url)) {
+                if (helpers.extractSearchQuery(request.url)) {
+                    await handleSearchPage(request, $, baseUrl, context, crawlerLog);
+                    return;
+                }
+
+                // Priority 1: JSON API. HTML pagination pages (pageNo > 1) only exist once it has failed
+                if (helpers.isProductUrl(request.url)) {
                     // Single product page
-                    const product = await fetchSingleProductJson(request.url.split('?')[0]);
+                    const product = await fetchSingleProductJson(request.url.split('?')[0], market);
                     if (product) {
                         products = [product];
+                        method = 'product_json';
                         crawlerLog.info(`✓ Extracted product via Product JSON API`);
                     }
-                } else {
-                    // Try general products JSON API
-                    const jsonProducts = await fetchProductsViaJsonApi(baseUrl, pageNo);
-                    if (jsonProducts && jsonProducts.length > 0) {
-                        products = jsonProducts;
-                        crawlerLog.info(`✓ Extracted ${products.length} products via JSON API`);
+                } else if (pageNo === 1) {
+                    const collectionUrl = helpers.isCollectionUrl(request.url) ? request.url.split('?')[0] : null;
+                    const listing = await handleJsonApiPage(request, { collectionUrl, page: 1 }, baseUrl, context, crawlerLog);
+                    if (listing) return;
+                }
+
+                // Priority 2: Storefront GraphQL API, for stores that disable the JSON endpoints
+                if (products.length === 0 && (pageNo === 1 || helpers.isProductUrl(request.url)) && supportsStorefrontMarket(context.market)) {
+                    const api = storefrontApis.has(baseUrl)
+                        ? storefrontApis.get(baseUrl)
+                        : discoverStorefrontToken($.html(), baseUrl);
+
+                    if (api) {
+                        const listing = await handleStorefrontPage(request, { api, page: 1 }, baseUrl, context, crawlerLog);
+                        storefrontApis.set(baseUrl, listing ? api : null);
+                        if (listing) return;
+                        crawlerLog.warning(`Storefront API token found on ${baseUrl} but the API did not answer, falling back to HTML`);
                     }
                 }
 
-                // Priority 2: Try JSON-LD extraction if no products found
+                // Priority 3: Product JSON the theme embeds in the page, with full variant data
+                if (products.length === 0) {
+                    products = extractEmbeddedProducts($, request.url);
+                    if (products.length > 0) {
+                        method = 'embedded_json';
+                        crawlerLog.info(`✓ Extracted ${products.length} products from embedded JSON`);
+                    }
+                }
+
+                // Priority 4: Try JSON-LD extraction if no products found
                 if (products.length === 0) {
                     const jsonLdProduct = extractFromJsonLd($, baseUrl);
                     if (jsonLdProduct) {
-                        products = [jsonLdProduct];
+                        products = [{
+                            ...jsonLdProduct,
+                            handle: jsonLdProduct.handle || request.url.match(/\/products\/([^/?#]+)/)?.[1] || null,
+                        }];
+                        method = 'json_ld';
                         crawlerLog.info('✓ Extracted product from JSON-LD');
                     }
                 }
 
-                // Priority 3: Fallback to HTML parsing if still no products
+                // Priority 5: Fallback to HTML parsing if still no products
+                const fields = {};
                 if (products.length === 0) {
-                    products = parseProductsFromHtml($, baseUrl);
+                    if (!themeProfiles.has(baseUrl)) {
+                        themeProfiles.set(baseUrl, selectThemeProfile(extractShopifyTheme($.html()), htmlSelectors));
+                    }
+                    const profile = themeProfiles.get(baseUrl);
+                    products = parseProductsFromHtml($, baseUrl, profile);
+                    method = 'html';
+                    fields.extraction_profile = profile.name;
                     if (products.length > 0) {
-                        crawlerLog.info(`✓ Extracted ${products.length} products via HTML parsing`);
+                        crawlerLog.info(`✓ Extracted ${products.length} products via HTML parsing (${profile.name} profile)`);
                     }
                 }
 
                 // Save products
-                const savedCount = await saveProducts(products, baseUrl);
-                crawlerLog.info(`Saved ${savedCount} products (Total: ${saved}/${MAX_PRODUCTS})`);
+                const savedCount = await saveProducts(products, baseUrl, { ...context, fields });
+                crawlerLog.info(`Saved ${savedCount} products (Store total: ${store.saved}/${MAX_PRODUCTS})`);
+                recordMethod(store, method, savedCount);
 
                 // Handle pagination if we haven't reached limits
-                if (saved < MAX_PRODUCTS && pageNo < MAX_PAGES && products.length > 0) {
+                if (store.saved < MAX_PRODUCTS && pageNo < MAX_PAGES && products.length > 0) {
                     const nextPageUrl = findNextPageUrl($, request.url);
                     if (nextPageUrl) {
                         crawlerLog.info(`Found next page: ${nextPageUrl}`);
                         await crawler.addRequests([{
                             url: nextPageUrl,
-                            userData: { pageNo: pageNo + 1 },
+                            userData: { pageNo: pageNo + 1, market },
                         }]);
                     } else {
                         crawlerLog.info('No more pages found');
                     }
                 }
+            }),
+
+            // Count every failed attempt; rate limits also slow the domain down for API requests
+            async errorHandler({ request, response }, error) {
+                const category = classifyError(error);
+                fetchLayer.record(request.url, category);
+                finishPage(request, response?.statusCode ?? null, false);
+                // A replay cannot produce a response that was never recorded
+                if (category === 'not_recorded') request.noRetry = true;
+                if (category === 'rate_limited') {
+                    fetchLayer.slowDown(request.url, parseRetryAfter(response?.headers?.['retry-after']));
+                }
             },
 
-            async failedRequestHandler({ request, error }) {
-                const errorInfo = helpers.createErrorInfo(request, error);
+            async failedRequestHandler({ request, response }, error) {
+                const category = classifyError(error);
+                fetchLayer.record(request.url, category);
+                finishPage(request, response?.statusCode ?? null, false);
+                const errorInfo = helpers.createErrorInfo(request, error, category);
                 log.error(`Request failed after ${request.retryCount} retries`, errorInfo);
                 
                 failedUrls.push(errorInfo);
+                const store = storeState(helpers.getBaseDomain(request.url));
+                store.failed++;
+
+                if (category === 'password_page' && store.status === 'scraped') {
+                    store.status = 'password_protected';
+                    log.error(`${helpers.getBaseDomain(request.url)} is password protected${storefrontPasswordFor(storefrontPasswords, request.url)
+                        ? ' and stayed locked after submitting its password'
+                        : '; add its password to storefrontPasswords'}`);
+                }
                 
                 await Dataset.pushData({
                     '#failed': true,
@@ -408,29 +1171,183 @@ async function main() {
             },
         });
 
+        fetchLayer.shareSessions(() => crawler.sessionPool);
+
+        // Crawl state is saved periodically and on migration or abort; a restarted run resumes from it
+        const saveCrawlState = crawlState.persistCrawlState(() => ({
+            counters: { saved, totalRecords, changeEvents, filteredOut },
+            failedUrls,
+            stores: Object.fromEntries([...storeStates].map(([baseUrl, store]) => [baseUrl, crawlState.serializeStoreState(store)])),
+            storeProfiles: [...storeProfiles],
+            membership: [...membership],
+            membershipStores: [...membershipStores],
+            snapshotNext: snapshot?.next,
+            images: imageDownloader?.stats,
+            responseCategories: fetchLayer.categoriesByDomain(),
+            alerts: [...alerts.values()],
+            report: runReport.state,
+        }), {
+            // crawlee pauses the crawler on migration; requests already running still push their products
+            drain: async () => {
+                for (let waited = 0; waited < 20000 && crawler.autoscaledPool?.currentConcurrency > 0; waited += 250) {
+                    await new Promise(resolve => setTimeout(resolve, 250));
+                }
+            },
+        });
+
+        const baseUrls = helpers.uniqueNonEmptyArray(initialUrls.map(helpers.getBaseDomain));
+
+        // One profile record per store; product rows reference it by myshopify domain
+        if (includeStoreProfile) {
+            const storesDataset = await Actor.openDataset(storesDatasetName);
+            for (const baseUrl of baseUrls) {
+                if (storeProfiles.has(baseUrl)) continue;
+                const profile = await fetchStoreProfile(baseUrl, fetchLayer);
+                storeProfiles.set(baseUrl, profile.myshopify_domain || profile.url);
+                await storesDataset.pushData(profile);
+                log.info(`✓ Store profile: ${profile.name || baseUrl} (theme: ${profile.theme?.name || 'unknown'}, ${profile.apps.length} apps)`);
+            }
+        }
+
+        // Collection membership is resolved up front so every product record can carry it
+        if (collectionMembership) {
+            const collectionsDataset = await Actor.openDataset(collectionsDatasetName);
+            for (const baseUrl of baseUrls) {
+                if (membershipStores.has(baseUrl)) continue;
+                await discoverCollectionMembership(baseUrl, collectionsDataset);
+                membershipStores.add(baseUrl);
+            }
+            log.info(`Mapped ${membership.size} products to their collections`);
+        }
+
         // Add initial requests
-        await crawler.addRequests(initialUrls.map(url => ({ 
-            url, 
-            userData: { pageNo: 1 } 
-        })));
+        await crawler.addRequests(initialUrls.flatMap(url => (markets.length ? markets : [null]).map(market => ({
+            url: helpers.withMarket(storefrontFilters(url), market),
+            userData: { pageNo: 1, market },
+        }))));
 
         // Run the crawler
         log.info('Starting crawler...');
         await crawler.run();
+        await saveCrawlState();
+        if (recorder) await recorder.writeIndex();
+
+        // Persist the snapshot. Removals are only detectable when the whole catalog was covered.
+        if (snapshot) {
+            const complete = [...storeStates.values()].every(store => store.saved < MAX_PRODUCTS)
+                && !failedUrls.length
+                && !sitemapUpdatedSince;
+
+            if (complete) {
+                const removed = Object.entries(snapshot.previous)
+                    .filter(([key]) => !(key in snapshot.next))
+                    .map(([, entry]) => snapshots.removedProductEvent(entry));
+                await Dataset.pushData(removed);
+                changeEvents += removed.length;
+            } else {
+                log.warning('Crawl did not cover the full catalog, skipping removed-product detection');
+                snapshot.next = { ...snapshot.previous, ...snapshot.next };
+            }
+
+            await snapshotStore.setValue(snapshotRecordKey, {
+                savedAt: new Date().toISOString(),
+                products: snapshot.next,
+            });
+            log.info(`Saved snapshot ${snapshotRecordKey} with ${Object.keys(snapshot.next).length} products`);
+        }
+
+        // Write export feeds; products a format cannot represent are listed in EXPORT-ERRORS
+        const exportErrors = [];
+        for (const [format, exporter] of Object.entries(exporters)) {
+            const { key, contentType } = EXPORT_FORMATS[format];
+            await Actor.setValue(key, exporter.build(), { contentType });
+            exportErrors.push(...exporter.errors);
+            log.info(`✓ Export ${format} saved as ${key}${exporter.errors.length ? ` (${exporter.errors.length} products skipped)` : ''}`);
+        }
+        if (Object.keys(exporters).length) {
+            await Actor.setValue('EXPORT-ERRORS', exportErrors);
+        }
+
+        // Alerts are stored as ALERTS and sent to the webhook in one batch
+        let alertWebhook;
+        if (alertRules.length) {
+            const alertsPayload = {
+                generatedAt: new Date().toISOString(),
+                runId: process.env.ACTOR_RUN_ID || null,
+                rules: alertRules.map(({ name, type }) => ({ name, type })),
+                count: alerts.size,
+                alerts: [...alerts.values()],
+            };
+            if (alertWebhookUrl && alerts.size && httpRecording === 'replay') {
+                // Replays never reach the network; the alerts are still stored as ALERTS
+                log.info(`Replay run, ${alerts.size} alerts are not sent to the webhook`);
+            } else if (alertWebhookUrl && alerts.size) {
+                alertWebhook = await sendAlertWebhook(alertWebhookUrl, alertsPayload, { secret: alertWebhookSecret || undefined });
+                if (alertWebhook.delivered) log.info(`✓ Sent ${alerts.size} alerts to the webhook`);
+                else log.error(`Alert webhook failed after ${alertWebhook.attempts} attempts: ${alertWebhook.error}`);
+            }
+            await Actor.setValue('ALERTS', { ...alertsPayload, webhook: alertWebhook ?? null });
+        }
+
+        // Run report: extraction methods, failures, field fill rates, page timings and invalid records
+        const report = runReport.build({
+            storeStates,
+            failedUrls,
+            totals: { products: saved, records: totalRecords, failedRequests: failedUrls.length },
+        });
+        await Actor.setValue('RUN-REPORT', report);
+        await Actor.setValue('RUN-REPORT-HTML', renderReportHtml(report), { contentType: 'text/html; charset=utf-8' });
 
         // Final statistics
         log.info('═══════════════════════════════════════');
         log.info(`✓ Scraping completed successfully`);
         log.info(`✓ Total products scraped: ${saved}`);
-        log.info(`✓ Unique products: ${seenProducts.size}`);
+        log.info(`✓ Dataset records: ${totalRecords}`);
+        const uniqueProducts = [...storeStates.values()].reduce((sum, store) => sum + store.seen.size, 0);
+        log.info(`✓ Stores: ${storeStates.size}`);
+        log.info(`✓ Unique products: ${uniqueProducts}`);
         log.info(`✓ Failed requests: ${failedUrls.length}`);
+        const failureCategories = {};
+        for (const { category } of failedUrls) failureCategories[category] = (failureCategories[category] || 0) + 1;
+        if (failedUrls.length) log.info(`✓ Failure categories: ${Object.entries(failureCategories).map(([c, n]) => `${c} ${n}`).join(', ')}`);
+        if (snapshot) log.info(`✓ Change events: ${changeEvents}`);
+        if (productFilters || !includeOutOfStock) log.info(`✓ Products filtered out: ${filteredOut}`);
+        if (alertRules.length) log.info(`✓ Alerts: ${alerts.size}`);
+        if (report.totals.invalidRecords) log.info(`✓ Records failing the dataset schema: ${report.totals.invalidRecords} (see RUN-REPORT)`);
+        if (imageDownloader) {
+            const { downloaded, deduplicated, failed, bytes } = imageDownloader.stats;
+            log.info(`✓ Images: ${downloaded} stored (${(bytes / 1024 / 1024).toFixed(1)} MB), ${deduplicated} duplicates, ${failed} failed`);
+        }
+        if (recorder) {
+            const { recorded, replayed, missing } = recorder.stats;
+            log.info(`✓ HTTP ${httpRecording}: ${recorded} recorded, ${replayed} replayed, ${missing} not recorded`);
+        }
         log.info('═══════════════════════════════════════');
 
         // Save statistics
         await Actor.setValue('STATS', {
             totalProducts: saved,
-            uniqueProducts: seenProducts.size,
+            totalRecords,
+            uniqueProducts,
             failedRequests: failedUrls.length,
+            failureCategories,
+            responseCategories: fetchLayer.categories(),
+            changeEvents: snapshot ? changeEvents : undefined,
+            filteredOut: productFilters || !includeOutOfStock ? filteredOut : undefined,
+            alerts: alertRules.length ? alerts.size : undefined,
+            images: imageDownloader ? imageDownloader.stats : undefined,
+            exportErrors: Object.keys(exporters).length ? exportErrors.length : undefined,
+            httpRecording: recorder ? { mode: httpRecording, storeName: recordingStoreName, ...recorder.stats } : undefined,
+            stores: Object.fromEntries([...storeStates].map(([baseUrl, store]) => [baseUrl, {
+                status: store.status,
+                shopifySignals: store.signals,
+                products: store.saved,
+                uniqueProducts: store.seen.size,
+                failedRequests: store.failed,
+                responseCategories: fetchLayer.categories(baseUrl),
+                extractionMethods: store.methods,
+                durationMs: store.startedAt ? (store.finishedAt ?? store.startedAt) - store.startedAt : 0,
+            }])),
             completedAt: new Date().toISOString(),
         });
 
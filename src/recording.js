@@ -0,0 +1,190 @@
+// HTTP record and replay for Shopify Product Scraper
+import { createHash } from 'node:crypto';
+import { Readable } from 'node:stream';
+import { log } from 'apify';
+import { gotScraping } from 'got-scraping';
+
+export const RECORDING_MODES = ['off', 'record', 'replay'];
+
+// Bodies of these types are stored as text, everything else (images) as base64
+const TEXT_TYPES = /^(text\/|application\/(json|ld\+json|xml|rss\+xml|atom\+xml|javascript|x-javascript)|image\/svg)/i;
+
+// The recorder all HTTP calls go through while recording or replaying
+let activeRecorder = null;
+
+/**
+ * Lookup key of an exchange: method, URL and request body
+ * @param {{ url: string | URL, method?: string, json?: any, form?: any, body?: any }} options
+ */
+export const exchangeKey = ({ url, method = 'GET', json, form, body }) => {
+    const payload = json !== undefined ? JSON.stringify(json)
+        : form !== undefined ? new URLSearchParams(form).toString()
+            : typeof body === 'string' ? body : '';
+    const hash = createHash('sha256').update(`${`${method}`.toUpperCase()} ${url}\n${payload}`).digest('hex');
+    return `http-${hash.slice(0, 32)}`;
+};
+
+/**
+ * Convert a raw body to the response type the caller asked for, as got would
+ * @param {Buffer} buffer
+ * @param {'text' | 'json' | 'buffer' | undefined} responseType
+ */
+const toResponseType = (buffer, responseType) => {
+    if (responseType === 'buffer') return buffer;
+    if (responseType === 'json') return buffer.length ? JSON.parse(buffer.toString('utf8')) : '';
+    return buffer.toString('utf8');
+};
+
+/**
+ * Throw for a non-2xx response the way got does, when the caller turned `throwHttpErrors` on
+ * (got-scraping defaults it to off). Exchanges are always sent and replayed without throwing,
+ * so error responses get recorded too.
+ * @param {Record<string, any>} response
+ * @param {Record<string, any>} options - the caller's request options
+ */
+const throwOnHttpError = (response, options) => {
+    if (options.throwHttpErrors !== true) return response;
+    const limit = options.followRedirect === false ? 399 : 299;
+    if ((response.statusCode >= 200 && response.statusCode <= limit) || response.statusCode === 304) return response;
+    throw Object.assign(new Error(`Response code ${response.statusCode} (${response.statusMessage || ''})`), {
+        name: 'HTTPError',
+        code: 'ERR_NON_2XX_3XX_RESPONSE',
+        response,
+        options,
+    });
+};
+
+/**
+ * Create a recorder. In `record` mode every exchange is sent over the network and stored in the
+ * key-value store; in `replay` mode exchanges are served from the store without network access.
+ * An `INDEX` record lists the stored exchanges in a HAR-like `log.entries` layout.
+ * @param {{ mode: 'record' | 'replay', store: import('apify').KeyValueStore }} options
+ */
+export const createHttpRecorder = async ({ mode, store }) => {
+    const index = new Map(((await store.getValue('INDEX'))?.log?.entries || []).map(entry => [entry._key, entry]));
+    const stats = { recorded: 0, replayed: 0, missing: 0 };
+
+    const record = async (key, options, response, buffer) => {
+        const contentType = `${response.headers['content-type'] || ''}`;
+        const isText = TEXT_TYPES.test(contentType) || !contentType;
+        const startedDateTime = new Date().toISOString();
+
+        await store.setValue(key, {
+            method: `${options.method || 'GET'}`.toUpperCase(),
+            url: `${options.url}`,
+            request_body: options.json ?? options.form ?? null,
+            status: response.statusCode,
+            status_message: response.statusMessage || null,
+            headers: response.headers,
+            final_url: response.url,
+            redirect_urls: (response.redirectUrls || []).map(u => `${u}`),
+            body: buffer.toString(isText ? 'utf8' : 'base64'),
+            body_encoding: isText ? 'utf8' : 'base64',
+            recorded_at: startedDateTime,
+        });
+
+        index.set(key, {
+            _key: key,
+            startedDateTime,
+            request: { method: `${options.method || 'GET'}`.toUpperCase(), url: `${options.url}` },
+            response: { status: response.statusCode, redirectURL: response.url !== `${options.url}` ? response.url : '', content: { mimeType: contentType, size: buffer.length } },
+        });
+        stats.recorded++;
+    };
+
+    const recorder = {
+        mode,
+        stats,
+
+        /**
+         * Send a request with got-scraping options, recording or replaying it
+         * @param {Record<string, any>} options
+         */
+        async send(options) {
+            const key = exchangeKey(options);
+
+            if (mode === 'replay') {
+                const exchange = await store.getValue(key);
+                if (!exchange) {
+                    stats.missing++;
+                    throw Object.assign(new Error(`No recorded response for ${options.method || 'GET'} ${options.url}`), { category: 'not_recorded' });
+                }
+                stats.replayed++;
+                const buffer = Buffer.from(exchange.body, exchange.body_encoding);
+                return throwOnHttpError({
+                    statusCode: exchange.status,
+                    statusMessage: exchange.status_message,
+                    headers: exchange.headers,
+                    url: exchange.final_url,
+                    redirectUrls: exchange.redirect_urls.map(u => new URL(u)),
+                    body: toResponseType(buffer, options.responseType),
+                    rawBody: buffer,
+                    request: { url: `${options.url}`, options },
+                }, options);
+            }
+
+            const response = await gotScraping({ ...options, responseType: 'buffer', throwHttpErrors: false });
+            await record(key, options, response, response.body);
+            return throwOnHttpError(Object.assign(response, { body: toResponseType(response.body, options.responseType) }), options);
+        },
+
+        /**
+         * HTTP client for the crawler (crawlee's `BaseHttpClient`), routed through `send`
+         */
+        httpClient: {
+            async sendRequest(request) {
+                return recorder.send({ ...request, cookieJar: undefined, retry: { limit: 0, ...request.retry } });
+            },
+            async stream(request) {
+                // The crawler asks for a stream; exchanges are recorded whole and streamed from the buffer
+                const response = await recorder.send({ ...request, isStream: false, cookieJar: undefined, retry: { limit: 0 }, responseType: 'buffer' });
+                const size = response.body.length;
+                return {
+                    statusCode: response.statusCode,
+                    statusMessage: response.statusMessage,
+                    headers: response.headers,
+                    url: response.url,
+                    redirectUrls: response.redirectUrls,
+                    ip: response.ip,
+                    stream: Readable.from([response.body]),
+                    request,
+                    trailers: {},
+                    complete: true,
+                    downloadProgress: { percent: 1, transferred: size, total: size },
+                    uploadProgress: { percent: 1, transferred: 0, total: 0 },
+                };
+            },
+        },
+
+        /**
+         * Write the INDEX record
+         */
+        async writeIndex() {
+            if (mode !== 'record') return;
+            await store.setValue('INDEX', {
+                log: {
+                    version: '1.2',
+                    creator: { name: 'Shopify Product Scraper', version: '1.0' },
+                    entries: [...index.values()].sort((a, b) => a.startedDateTime.localeCompare(b.startedDateTime)),
+                },
+            });
+        },
+    };
+
+    return recorder;
+};
+
+/**
+ * Route all HTTP calls through a recorder; null goes back to the network
+ * @param {Awaited<ReturnType<typeof createHttpRecorder>> | null} recorder
+ */
+export const useHttpRecorder = (recorder) => {
+    activeRecorder = recorder;
+    if (recorder) log.info(`HTTP ${recorder.mode === 'record' ? 'recording' : 'replay'} mode is on`);
+};
+
+/**
+ * Drop-in for `gotScraping(options)` that records or replays while a recorder is active
+ * @param {Record<string, any>} options
+ */
+export const sendHttpRequest = (options) => (activeRecorder ? activeRecorder.send(options) : gotScraping(options));
@@ -0,0 +1,185 @@
+// Ratings and reviews extraction for Shopify Product Scraper
+import { log } from 'apify';
+import { load } from 'cheerio';
+import { cleanText, jsonLdNodes } from './helpers.js';
+
+/**
+ * Parse a rating or count, null when missing
+ * @param {any} value
+ */
+const toNumber = (value) => {
+    const number = parseFloat(`${value ?? ''}`.replace(',', '.'));
+    return Number.isFinite(number) ? number : null;
+};
+
+/**
+ * Normalize a review to { author, rating, date, title, body }
+ * @param {Record<string, any>} review
+ */
+const toReview = ({ author = null, rating = null, date = null, title = null, body = null }) => ({
+    author: author ? cleanText(`${author}`) || null : null,
+    rating: toNumber(rating),
+    date: date && !Number.isNaN(new Date(date).getTime()) ? new Date(date).toISOString() : null,
+    title: title ? cleanText(`${title}`) || null : null,
+    body: body ? cleanText(`${body}`) || null : null,
+});
+
+/**
+ * Rating summary of one source
+ * @param {string} source
+ * @param {any} rating
+ * @param {any} count
+ * @param {Record<string, any>[]} [reviews]
+ */
+const summary = (source, rating, count, reviews = []) => {
+    const result = { source, rating: toNumber(rating), review_count: toNumber(count), reviews: reviews.map(toReview) };
+    return result.rating !== null || result.reviews.length ? result : null;
+};
+
+// Reviews embedded in the product page, tried in order
+const PAGE_EXTRACTORS = {
+    json_ld: ($) => {
+        for (const node of jsonLdNodes($, ['Product', 'ProductGroup'])) {
+            const reviews = [node.review].flat().filter(Boolean).map(review => ({
+                author: review.author?.name ?? review.author,
+                rating: review.reviewRating?.ratingValue,
+                date: review.datePublished,
+                title: review.name,
+                body: review.reviewBody ?? review.description,
+            }));
+            const rating = node.aggregateRating;
+            const result = summary('json_ld', rating?.ratingValue, rating?.reviewCount ?? rating?.ratingCount, reviews);
+            if (result) return result;
+        }
+        return null;
+    },
+    judgeme: ($) => {
+        const badge = $('.jdgm-rev-widg[data-average-rating], .jdgm-prev-badge[data-average-rating]').first();
+        const reviews = $('.jdgm-rev').map((_, el) => ({
+            author: $(el).find('.jdgm-rev__author').first().text(),
+            rating: $(el).find('.jdgm-rev__rating').attr('data-score'),
+            date: $(el).find('.jdgm-rev__timestamp').attr('data-content'),
+            title: $(el).find('.jdgm-rev__title').first().text(),
+            body: $(el).find('.jdgm-rev__body').first().html(),
+        })).get();
+        return summary('judgeme', badge.attr('data-average-rating'), badge.attr('data-number-of-reviews'), reviews);
+    },
+    loox: ($) => {
+        const badge = $('.loox-rating[data-rating]').first();
+        return summary('loox', badge.attr('data-rating'), badge.attr('data-raters'));
+    },
+    stamped: ($) => {
+        const badge = $('.stamped-badge[data-rating]').first();
+        const count = badge.find('[data-reviews]').attr('data-reviews') ?? badge.attr('data-reviews');
+        return summary('stamped', badge.attr('data-rating'), count);
+    },
+    yotpo: ($) => {
+        const badge = $('.yotpo-bottomline, .yotpo .bottomLine').first();
+        const rating = badge.find('.sr-only').first().text().match(/([\d.]+) star/)?.[1];
+        const count = badge.find('.text-m, .yotpo-sum-reviews').first().text().match(/\d+/)?.[0];
+        return summary('yotpo', rating, count);
+    },
+    shopify_reviews: ($) => {
+        // Shopify Product Reviews app badge, rendered from the reviews.rating metafield
+        const badge = $('.spr-badge[data-rating]').first();
+        const count = badge.find('.spr-badge-caption').text().match(/\d+/)?.[0];
+        return summary('shopify_reviews', badge.attr('data-rating'), count);
+    },
+};
+
+/**
+ * The `reviews.rating` / `reviews.rating_count` metafields standard review apps write
+ * @param {Record<string, any> | undefined} metafields
+ */
+const fromMetafields = (metafields) => {
+    if (!metafields?.['reviews.rating']) return null;
+    try {
+        const rating = JSON.parse(metafields['reviews.rating']);
+        return summary('shopify_reviews', rating.value ?? rating, metafields['reviews.rating_count']);
+    } catch {
+        return summary('shopify_reviews', metafields['reviews.rating'], metafields['reviews.rating_count']);
+    }
+};
+
+/**
+ * Fetchers for review apps that load reviews from their own endpoint. Each receives the
+ * product page, the record and a `getJson(url)` function, so they can be run against
+ * recorded responses.
+ * @type {Record<string, (context: { $: import('cheerio').CheerioAPI, html: string, product: Record<string, any>, limit: number, getJson: (url: string) => Promise<any> }) => Promise<ReturnType<typeof summary>>>}
+ */
+export const REVIEW_FETCHERS = {
+    judgeme: async ({ $, html, product, limit, getJson }) => {
+        const shop = html.match(/Shopify\.shop\s*=\s*["']([^"']+)["']/)?.[1];
+        if (!shop || !$('[class*="jdgm-"]').length) return null;
+
+        const params = new URLSearchParams({ shop_domain: shop, platform: 'shopify', handle: product.handle, per_page: `${Math.max(limit, 1)}` });
+        const body = await getJson(`https://judge.me/api/v1/widgets/product_review?${params}`);
+        return body?.widget ? PAGE_EXTRACTORS.judgeme(load(body.widget)) : null;
+    },
+    yotpo: async ({ $, html, product, limit, getJson }) => {
+        const appKey = $('[data-appkey]').attr('data-appkey') || html.match(/staticw2\.yotpo\.com\/([\w-]+)\/widget\.js/)?.[1];
+        if (!appKey) return null;
+
+        const body = await getJson(`https://api-cdn.yotpo.com/v1/widget/${appKey}/products/${product.id}/reviews.json?per_page=${Math.max(limit, 1)}`);
+        const response = body?.response;
+        if (!response?.bottomline) return null;
+        return summary('yotpo', response.bottomline.average_score, response.bottomline.total_review, (response.reviews || []).map(review => ({
+            author: review.user?.display_name,
+            rating: review.score,
+            date: review.created_at,
+            title: review.title,
+            body: review.content,
+        })));
+    },
+    stamped: async ({ $, html, product, limit, getJson }) => {
+        const apiKey = $('#stamped-main-widget').attr('data-api-key') || html.match(/StampedFn\.init\(\{[^}]*apiKey:\s*["']([^"']+)["']/)?.[1];
+        const shop = html.match(/Shopify\.shop\s*=\s*["']([^"']+)["']/)?.[1];
+        if (!apiKey || !shop) return null;
+
+        const params = new URLSearchParams({ productId: `${product.id}`, apiKey, storeUrl: shop, take: `${Math.max(limit, 1)}` });
+        const body = await getJson(`https://stamped.io/api/widget/reviews?${params}`);
+        if (!body) return null;
+        return summary('stamped', body.rating, body.total, (body.data || []).map(review => ({
+            author: review.author,
+            rating: review.reviewRating,
+            date: review.reviewDate,
+            title: review.reviewTitle,
+            body: review.reviewMessage,
+        })));
+    },
+};
+
+/**
+ * Collect rating, review count and up to `limit` reviews for a product: JSON-LD, review app
+ * markup and review metafields first, then the apps' own endpoints when the page lacks them
+ * @param {{ $?: import('cheerio').CheerioAPI | null, product: Record<string, any>, limit?: number, getJson: (url: string) => Promise<any>, fetchers?: typeof REVIEW_FETCHERS }} options
+ */
+export const collectReviews = async ({ $ = null, product, limit = 0, getJson, fetchers = REVIEW_FETCHERS }) => {
+    const found = [
+        fromMetafields(product.metafields),
+        ...($ ? Object.values(PAGE_EXTRACTORS).map(extract => extract($)) : []),
+    ].filter(Boolean);
+
+    const complete = () => found.some(r => r.rating !== null) && (!limit || found.some(r => r.reviews.length));
+    if ($ && !complete()) {
+        const html = $.html();
+        for (const [name, fetchReviews] of Object.entries(fetchers)) {
+            try {
+                const result = await fetchReviews({ $, html, product, limit, getJson });
+                if (result) found.push(result);
+            } catch (error) {
+                log.debug(`Review fetcher ${name} failed for ${product.handle}`, { error: error.message });
+            }
+            if (complete()) break;
+        }
+    }
+
+    const rated = found.find(r => r.rating !== null);
+    const reviewed = found.find(r => r.reviews.length);
+    return {
+        rating: rated?.rating ?? null,
+        review_count: rated?.review_count ?? null,
+        review_source: rated?.source ?? reviewed?.source ?? null,
+        ...(limit ? { reviews: (reviewed?.reviews || []).slice(0, limit) } : {}),
+    };
+};
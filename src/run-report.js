@@ -0,0 +1,323 @@
+// Run report for Shopify Product Scraper
+import { readFile } from 'node:fs/promises';
+import { log } from 'apify';
+import { getBaseDomain } from './helpers.js';
+
+// Fields whose fill rate is reported, counted over variant records
+export const REPORT_FIELDS = ['sku', 'barcode', 'price', 'images', 'description'];
+
+// Invalid records listed in the report; the rest are only counted
+const MAX_INVALID_SAMPLES = 100;
+
+// Page durations kept per store for the percentiles, and slowest pages listed in the report
+const MAX_TIMING_SAMPLES = 1000;
+const MAX_SLOWEST_PAGES = 20;
+
+/**
+ * Load the `fields` JSON schema of .actor/dataset_schema.json; null when it is missing or empty
+ */
+export const loadDatasetSchema = async () => {
+    try {
+        const { fields } = JSON.parse(await readFile(new URL('../.actor/dataset_schema.json', import.meta.url), 'utf8'));
+        return fields && Object.keys(fields).length ? fields : null;
+    } catch (error) {
+        log.warning(`Could not load the dataset schema, records are not validated: ${error.message}`);
+        return null;
+    }
+};
+
+/**
+ * JSON schema type of a value
+ * @param {any} value
+ */
+const schemaType = (value) => {
+    if (value === null) return 'null';
+    if (Array.isArray(value)) return 'array';
+    if (Number.isInteger(value)) return 'integer';
+    return typeof value;
+};
+
+/**
+ * Validate a value against the JSON schema subset the dataset schema uses:
+ * type, properties, required, items, enum, minimum and minLength
+ * @param {any} value
+ * @param {Record<string, any>} schema
+ * @param {string} [path]
+ * @returns {string[]} one message per violation
+ */
+export const validateAgainstSchema = (value, schema, path = '$') => {
+    if (!schema) return [];
+    const errors = [];
+
+    if (schema.type) {
+        const allowed = [schema.type].flat();
+        const type = schemaType(value);
+        if (!allowed.includes(type) && !(type === 'integer' && allowed.includes('number'))) {
+            return [`${path} should be ${allowed.join(' or ')}, got ${type}`];
+        }
+    }
+    if (schema.enum && !schema.enum.includes(value)) errors.push(`${path} should be one of ${schema.enum.join(', ')}`);
+    if (typeof value === 'number' && schema.minimum !== undefined && value < schema.minimum) errors.push(`${path} should be >= ${schema.minimum}`);
+    if (typeof value === 'string' && schema.minLength !== undefined && value.length < schema.minLength) errors.push(`${path} should not be shorter than ${schema.minLength}`);
+
+    if (value && typeof value === 'object' && !Array.isArray(value)) {
+        for (const key of schema.required || []) {
+            if (!(key in value)) errors.push(`${path}.${key} is required`);
+        }
+        for (const [key, propertySchema] of Object.entries(schema.properties || {})) {
+            if (key in value) errors.push(...validateAgainstSchema(value[key], propertySchema, `${path}.${key}`));
+        }
+    }
+    if (Array.isArray(value) && schema.items) {
+        value.forEach((item, i) => errors.push(...validateAgainstSchema(item, schema.items, `${path}[${i}]`)));
+    }
+
+    return errors;
+};
+
+/**
+ * Whether a field holds data; empty strings and arrays count as missing
+ * @param {any} value
+ */
+const isFilled = (value) => value !== null && value !== undefined && value !== ''
+    && !(Array.isArray(value) && !value.length) && !Number.isNaN(value);
+
+/**
+ * Count, average, median, 95th percentile and maximum of page durations. Count, average and
+ * maximum are exact, the percentiles come from the reservoir samples.
+ * @param {{ count: number, totalMs: number, maxMs: number, sample: number[] }[]} timings
+ */
+const timingSummary = (timings) => {
+    const count = timings.reduce((sum, t) => sum + t.count, 0);
+    if (!count) return { count: 0, avgMs: null, p50Ms: null, p95Ms: null, maxMs: null };
+    const sorted = timings.flatMap(t => t.sample).sort((a, b) => a - b);
+    const at = (q) => sorted[Math.min(sorted.length - 1, Math.floor(q * sorted.length))];
+    return {
+        count,
+        avgMs: Math.round(timings.reduce((sum, t) => sum + t.totalMs, 0) / count),
+        p50Ms: at(0.5),
+        p95Ms: at(0.95),
+        maxMs: Math.max(...timings.map(t => t.maxMs)),
+    };
+};
+
+/**
+ * Fill rate per field, 0-1 with three decimals
+ * @param {Record<string, number>} filled
+ * @param {number} records
+ */
+const fillRates = (filled, records) => Object.fromEntries(REPORT_FIELDS
+    .map(field => [field, records ? Math.round(((filled[field] || 0) / records) * 1000) / 1000 : null]));
+
+/**
+ * Count items per key
+ * @param {string[]} keys
+ */
+const countBy = (keys) => keys.reduce((counts, key) => ({ ...counts, [key]: (counts[key] || 0) + 1 }), {});
+
+/**
+ * Collect data-quality metrics and page timings during the run and build the report at the end
+ * @param {{ schema?: Record<string, any> | null, restored?: Record<string, any> | null }} [options]
+ *   schema - dataset item schema; restored - `state` saved by an earlier part of the run
+ */
+export const createRunReport = ({ schema = null, restored = null } = {}) => {
+    // Page timings are kept as running aggregates per store, so the state stays small on long runs
+    const state = {
+        fill: {},
+        timings: {},
+        slowest: [],
+        invalid: { count: 0, samples: [] },
+        ...restored,
+    };
+
+    const storeFill = (baseUrl) => {
+        state.fill[baseUrl] ??= { records: 0, filled: {}, invalid: 0 };
+        return state.fill[baseUrl];
+    };
+
+    return {
+        state,
+
+        /**
+         * Count filled fields of a product's variant records
+         * @param {string} baseUrl
+         * @param {Record<string, any>[]} records
+         */
+        addRecords(baseUrl, records) {
+            const fill = storeFill(baseUrl);
+            for (const record of records) {
+                fill.records++;
+                for (const field of REPORT_FIELDS) {
+                    if (isFilled(record[field])) fill.filled[field] = (fill.filled[field] || 0) + 1;
+                }
+            }
+        },
+
+        /**
+         * Validate a dataset item against the dataset schema and flag it when it fails
+         * @param {string} baseUrl
+         * @param {Record<string, any>} item
+         */
+        validate(baseUrl, item) {
+            const errors = validateAgainstSchema(item, schema);
+            if (!errors.length) return;
+            storeFill(baseUrl).invalid++;
+            state.invalid.count++;
+            if (state.invalid.samples.length < MAX_INVALID_SAMPLES) {
+                state.invalid.samples.push({ store: baseUrl, url: item.url ?? null, id: item.id ?? null, variant_id: item.variant_id ?? null, errors });
+            }
+        },
+
+        /**
+         * Record the timing of one page request attempt
+         * @param {{ url: string, statusCode: number | null, attempt: number, durationMs: number, ok: boolean }} page
+         */
+        page(page) {
+            const store = getBaseDomain(page.url);
+            const timing = state.timings[store] ??= { count: 0, totalMs: 0, maxMs: 0, sample: [] };
+            timing.count++;
+            timing.totalMs += page.durationMs;
+            timing.maxMs = Math.max(timing.maxMs, page.durationMs);
+
+            // Reservoir sampling: every attempt has the same chance to be in the sample
+            if (timing.sample.length < MAX_TIMING_SAMPLES) {
+                timing.sample.push(page.durationMs);
+            } else {
+                const slot = Math.floor(Math.random() * timing.count);
+                if (slot < MAX_TIMING_SAMPLES) timing.sample[slot] = page.durationMs;
+            }
+
+            if (state.slowest.length < MAX_SLOWEST_PAGES || page.durationMs > state.slowest[state.slowest.length - 1].durationMs) {
+                state.slowest = [...state.slowest, { store, ...page }]
+                    .sort((a, b) => b.durationMs - a.durationMs)
+                    .slice(0, MAX_SLOWEST_PAGES);
+            }
+        },
+
+        /**
+         * Build the report
+         * @param {{ storeStates: Map<string, Record<string, any>>, failedUrls: Record<string, any>[], totals: Record<string, any> }} run
+         */
+        build({ storeStates, failedUrls, totals }) {
+            const failuresOf = (baseUrl) => failedUrls.filter(f => f.url && getBaseDomain(f.url) === baseUrl);
+            const methods = {};
+            for (const store of storeStates.values()) {
+                for (const [method, count] of Object.entries(store.methods || {})) methods[method] = (methods[method] || 0) + count;
+            }
+            const allFill = Object.values(state.fill);
+            const pages = Object.values(state.timings).reduce((sum, timing) => sum + timing.count, 0);
+            const records = allFill.reduce((sum, fill) => sum + fill.records, 0);
+            const filled = {};
+            for (const fill of allFill) {
+                for (const [field, count] of Object.entries(fill.filled)) filled[field] = (filled[field] || 0) + count;
+            }
+
+            return {
+                generatedAt: new Date().toISOString(),
+                totals: { ...totals, stores: storeStates.size, pages, invalidRecords: state.invalid.count },
+                extractionMethods: methods,
+                failureCategories: countBy(failedUrls.map(f => f.category || 'error')),
+                fieldFillRates: fillRates(filled, records),
+                pageTimings: timingSummary(Object.values(state.timings)),
+                stores: Object.fromEntries([...storeStates].map(([baseUrl, store]) => {
+                    const fill = state.fill[baseUrl] || { records: 0, filled: {}, invalid: 0 };
+                    const failures = failuresOf(baseUrl);
+                    return [baseUrl, {
+                        status: store.status,
+                        products: store.saved,
+                        records: fill.records,
+                        extractionMethods: store.methods,
+                        failedRequests: failures.length,
+                        failureCategories: countBy(failures.map(f => f.category || 'error')),
+                        fieldFillRates: fillRates(fill.filled, fill.records),
+                        invalidRecords: fill.invalid,
+                        pageTimings: timingSummary(state.timings[baseUrl] ? [state.timings[baseUrl]] : []),
+                    }];
+                })),
+                invalidRecords: state.invalid,
+                slowestPages: state.slowest,
+            };
+        },
+    };
+};
+
+/**
+ * Escape text for HTML
+ * @param {any} value
+ */
+const escapeHtml = (value) => `${value ?? ''}`
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+
+/**
+ * HTML table from a header row and body rows
+ * @param {string[]} head
+ * @param {any[][]} rows
+ */
+const table = (head, rows) => rows.length
+    ? `<table><tr>${head.map(h => `<th>${escapeHtml(h)}</th>`).join('')}</tr>${rows
+        .map(row => `<tr>${row.map(cell => `<td>${escapeHtml(cell)}</td>`).join('')}</tr>`).join('')}</table>`
+    : '<p>None</p>';
+
+/**
+ * Percentage of a 0-1 rate
+ * @param {number | null} rate
+ */
+const percent = (rate) => (rate === null ? '-' : `${(rate * 100).toFixed(1)}%`);
+
+/**
+ * Human-readable HTML version of the run report
+ * @param {ReturnType<ReturnType<typeof createRunReport>['build']>} report
+ */
+export const renderReportHtml = (report) => {
+    const stores = Object.entries(report.stores);
+
+    return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<title>Shopify Product Scraper run report</title>
+<style>
+body { font-family: -apple-system, BlinkMacSystemFont, "Segoe UI", sans-serif; margin: 2em; color: #222; }
+table { border-collapse: collapse; margin: 0.5em 0 1.5em; }
+th, td { border: 1px solid #ddd; padding: 4px 10px; text-align: left; font-size: 14px; }
+th { background: #f5f5f5; }
+</style>
+</head>
+<body>
+<h1>Run report</h1>
+<p>Generated at ${escapeHtml(report.generatedAt)}</p>
+<h2>Totals</h2>
+${table(['Metric', 'Value'], Object.entries(report.totals))}
+<h2>Extraction methods</h2>
+${table(['Method', 'Products'], Object.entries(report.extractionMethods))}
+<h2>Field fill rates</h2>
+${table(['Field', 'Filled'], Object.entries(report.fieldFillRates).map(([field, rate]) => [field, percent(rate)]))}
+<h2>Failure categories</h2>
+${table(['Category', 'Failed requests'], Object.entries(report.failureCategories))}
+<h2>Stores</h2>
+${table(
+        ['Store', 'Status', 'Products', 'Methods', 'Failed', ...REPORT_FIELDS, 'Invalid records', 'Pages', 'Avg ms', 'p95 ms'],
+        stores.map(([baseUrl, store]) => [
+            baseUrl,
+            store.status,
+            store.products,
+            Object.entries(store.extractionMethods || {}).map(([method, count]) => `${method} ${count}`).join(', '),
+            store.failedRequests,
+            ...REPORT_FIELDS.map(field => percent(store.fieldFillRates[field])),
+            store.invalidRecords,
+            store.pageTimings.count,
+            store.pageTimings.avgMs ?? '-',
+            store.pageTimings.p95Ms ?? '-',
+        ]),
+    )}
+<h2>Slowest pages</h2>
+${table(['URL', 'Status', 'Attempt', 'ms'], report.slowestPages.map(p => [p.url, p.ok ? p.statusCode : `${p.statusCode ?? '-'} (failed)`, p.attempt, p.durationMs]))}
+<h2>Invalid records (${report.invalidRecords.count})</h2>
+${table(['URL', 'Variant', 'Errors'], report.invalidRecords.samples.map(s => [s.url, s.variant_id, s.errors.join('; ')]))}
+</body>
+</html>
+`;
+};
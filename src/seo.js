@@ -0,0 +1,78 @@
+// SEO and page metadata extraction for Shopify Product Scraper
+import { jsonLdNodes } from './helpers.js';
+
+/**
+ * Trimmed text, null when empty
+ * @param {string | undefined} value
+ */
+const text = (value) => `${value ?? ''}`.replace(/\s+/g, ' ').trim() || null;
+
+/**
+ * Collect `<meta>` tags whose property/name starts with a prefix, keyed without it
+ * @param {import('cheerio').CheerioAPI} $
+ * @param {string} prefix - `og:` or `twitter:`
+ */
+const metaGroup = ($, prefix) => {
+    const group = {};
+    $(`meta[property^="${prefix}"], meta[name^="${prefix}"]`).each((_, el) => {
+        const key = ($(el).attr('property') || $(el).attr('name')).slice(prefix.length);
+        const value = text($(el).attr('content'));
+        // Repeated tags (og:image) keep the first value
+        if (key && value && !(key in group)) group[key] = value;
+    });
+    return group;
+};
+
+/**
+ * Breadcrumb trail from JSON-LD `BreadcrumbList`
+ * @param {import('cheerio').CheerioAPI} $
+ */
+const breadcrumbs = ($) => {
+    const [list] = jsonLdNodes($, ['BreadcrumbList']);
+    return [list?.itemListElement || []].flat()
+        .map(entry => ({
+            position: entry.position ?? null,
+            name: text(entry.name ?? entry.item?.name),
+            url: (typeof entry.item === 'string' ? entry.item : entry.item?.['@id'] ?? entry.item?.url) || null,
+        }))
+        .sort((a, b) => (a.position ?? 0) - (b.position ?? 0));
+};
+
+/**
+ * Extract SEO metadata from a product page: title and description tags, canonical, robots,
+ * Open Graph and Twitter cards, hreflang alternates, breadcrumbs, H1 and image alt coverage
+ * @param {import('cheerio').CheerioAPI} $
+ */
+export const extractSeoMetadata = ($) => {
+    const title = text($('head title').first().text());
+    const description = text($('meta[name="description"]').attr('content'));
+    const h1 = $('h1').map((_, el) => text($(el).text())).get().filter(Boolean);
+
+    // Only content images count, not tracking pixels in <noscript>
+    const images = $('main img, #MainContent img').length ? $('main img, #MainContent img') : $('body img');
+    const withAlt = images.filter((_, el) => !!text($(el).attr('alt'))).length;
+
+    return {
+        title,
+        title_length: title?.length ?? 0,
+        meta_description: description,
+        meta_description_length: description?.length ?? 0,
+        canonical: $('link[rel="canonical"]').attr('href') || null,
+        robots: text($('meta[name="robots"]').attr('content')),
+        h1: h1[0] || null,
+        h1_count: h1.length,
+        open_graph: metaGroup($, 'og:'),
+        twitter: metaGroup($, 'twitter:'),
+        hreflang: $('link[rel="alternate"][hreflang]').map((_, el) => ({
+            lang: $(el).attr('hreflang'),
+            url: $(el).attr('href') || null,
+        })).get(),
+        breadcrumbs: breadcrumbs($),
+        images: {
+            total: images.length,
+            with_alt: withAlt,
+            missing_alt: images.length - withAlt,
+            alt_coverage: images.length ? Math.round((withAlt / images.length) * 1000) / 1000 : null,
+        },
+    };
+};
@@ -0,0 +1,131 @@
+// Snapshot diffing for incremental change-detection runs
+import { createHash } from 'node:crypto';
+
+/**
+ * Short stable hash, used for snapshot keys and description fingerprints
+ * @param {string} str
+ */
+export const shortHash = (str) => createHash('sha1').update(`${str ?? ''}`).digest('hex').slice(0, 16);
+
+/**
+ * Snapshot key of a product; markets are tracked separately
+ * @param {number | string} productId
+ * @param {string | null} [market]
+ */
+export const snapshotProductKey = (productId, market = null) => `${market || ''}:${productId}`;
+
+/**
+ * Snapshot key of a variant; variants scraped from HTML may lack an id and go by their title
+ * @param {Record<string, any>} record
+ */
+export const snapshotVariantKey = (record) => `${record.variant_id ?? `title:${record.variant_title ?? ''}`}`;
+
+/**
+ * Build the snapshot entry of a product from its transformed records (one per variant)
+ * @param {Record<string, any>[]} records
+ */
+export const buildSnapshotEntry = (records) => {
+    const [first] = records;
+    const variants = {};
+
+    for (const record of records) {
+        variants[snapshotVariantKey(record)] = {
+            variant_id: record.variant_id ?? null,
+            variant_title: record.variant_title,
+            price: record.price,
+            compare_at_price: record.compare_at_price,
+            available: record.available,
+        };
+    }
+
+    return {
+        id: first.id,
+        title: first.title,
+        url: first.url,
+        market: first.market ?? null,
+        updated_at: first.updated_at,
+        description_hash: shortHash(first.description),
+        variants,
+    };
+};
+
+/**
+ * Create a change event
+ * @param {string} event
+ * @param {Record<string, any>} base
+ * @param {any} oldValue
+ * @param {any} newValue
+ */
+const changeEvent = (event, base, oldValue = null, newValue = null) => ({
+    event,
+    id: base.id,
+    variant_id: base.variant_id ?? null,
+    title: base.title ?? null,
+    variant_title: base.variant_title ?? null,
+    url: base.url ?? null,
+    market: base.market ?? null,
+    old_value: oldValue,
+    new_value: newValue,
+    detected_at: new Date().toISOString(),
+});
+
+/**
+ * Compare a product's previous snapshot entry with its freshly transformed records
+ * @param {ReturnType<typeof buildSnapshotEntry> | undefined} previous
+ * @param {Record<string, any>[]} records
+ * @param {{ allVariants?: boolean }} [options] - removed variants are only known when every variant was scraped
+ */
+export const diffProduct = (previous, records, { allVariants = true } = {}) => {
+    if (!records.length) return [];
+    if (!previous) return [changeEvent('new_product', records[0], null, records[0])];
+
+    const [first] = records;
+    const events = [];
+
+    if (previous.title !== first.title) {
+        events.push(changeEvent('title_change', first, previous.title, first.title));
+    }
+    if (previous.description_hash !== shortHash(first.description)) {
+        events.push(changeEvent('description_change', first, null, first.description));
+    }
+
+    for (const record of records) {
+        const old = previous.variants[snapshotVariantKey(record)];
+        if (!old) {
+            events.push(changeEvent('new_variant', record, null, record));
+            continue;
+        }
+
+        if (old.price !== record.price) {
+            events.push(changeEvent('price_change', record, old.price, record.price));
+        }
+        if (old.compare_at_price !== record.compare_at_price) {
+            events.push(changeEvent('compare_at_price_change', record, old.compare_at_price, record.compare_at_price));
+        }
+        if (old.available === false && record.available) {
+            events.push(changeEvent('restock', record, false, true));
+        }
+        if (old.available && record.available === false) {
+            events.push(changeEvent('sell_out', record, true, false));
+        }
+    }
+
+    if (!allVariants) return events;
+
+    const current = new Set(records.map(snapshotVariantKey));
+    for (const [variantKey, old] of Object.entries(previous.variants)) {
+        if (!current.has(variantKey)) {
+            // Snapshots of earlier versions only have the id as the key
+            const variantId = 'variant_id' in old ? old.variant_id : +variantKey;
+            events.push(changeEvent('removed_variant', { ...previous, ...old, variant_id: variantId }, old, null));
+        }
+    }
+
+    return events;
+};
+
+/**
+ * Removal event for a product that disappeared from the store
+ * @param {ReturnType<typeof buildSnapshotEntry>} previous
+ */
+export const removedProductEvent = (previous) => changeEvent('removed_product', previous, previous, null);
@@ -0,0 +1,167 @@
+// Store profile extraction for Shopify Product Scraper
+import { log } from 'apify';
+import { load } from 'cheerio';
+import { cleanText, getBaseDomain } from './helpers.js';
+
+const POLICIES = {
+    refund: 'refund-policy',
+    shipping: 'shipping-policy',
+    privacy: 'privacy-policy',
+    terms: 'terms-of-service',
+};
+
+// Script hosts of common Shopify apps; anything else is still listed under script_hosts
+const KNOWN_APPS = {
+    'klaviyo.com': 'Klaviyo',
+    'judge.me': 'Judge.me',
+    'yotpo.com': 'Yotpo',
+    'loox.io': 'Loox',
+    'stamped.io': 'Stamped',
+    'okendo.io': 'Okendo',
+    'reviews.io': 'REVIEWS.io',
+    'rechargeapps.com': 'Recharge',
+    'rechargecdn.com': 'Recharge',
+    'gorgias.chat': 'Gorgias',
+    'privy.com': 'Privy',
+    'attn.tv': 'Attentive',
+    'smile.io': 'Smile.io',
+    'searchanise.com': 'Searchanise',
+    'boostcommerce.io': 'Boost Commerce',
+    'afterpay.com': 'Afterpay',
+    'klarna.com': 'Klarna',
+    'affirm.com': 'Affirm',
+    'hotjar.com': 'Hotjar',
+    'googletagmanager.com': 'Google Tag Manager',
+    'connect.facebook.net': 'Meta Pixel',
+    'analytics.tiktok.com': 'TikTok Pixel',
+};
+
+const SOCIAL_HOSTS = {
+    facebook: /(^|\.)facebook\.com$/,
+    instagram: /(^|\.)instagram\.com$/,
+    twitter: /(^|\.)(twitter|x)\.com$/,
+    tiktok: /(^|\.)tiktok\.com$/,
+    youtube: /(^|\.)youtube\.com$/,
+    pinterest: /(^|\.)pinterest\.[a-z.]+$/,
+    linkedin: /(^|\.)linkedin\.com$/,
+};
+
+/**
+ * GET a store page, returning the response only when it is usable
+ * @param {string} url
+ * @param {{ request: Function }} fetchLayer
+ * @param {'text' | 'json'} [responseType]
+ */
+const fetchPage = async (url, fetchLayer, responseType = 'text') => {
+    const response = await fetchLayer.request(url, { responseType });
+    if (!response.ok) log.debug(`Store profile request failed: ${url} (${response.category})`);
+    return response.ok ? response : null;
+};
+
+/**
+ * Parse `Shopify.theme = {...}` from page HTML
+ * @param {string} html
+ */
+export const extractShopifyTheme = (html) => {
+    const match = `${html || ''}`.match(/Shopify\.theme\s*=\s*(\{[^}]*\})/);
+    if (!match) return null;
+    try {
+        const theme = JSON.parse(match[1]);
+        return {
+            name: theme.name || null,
+            id: theme.id || null,
+            schema_name: theme.schema_name || null,
+            schema_version: theme.schema_version || null,
+            role: theme.role || null,
+        };
+    } catch {
+        return null;
+    }
+};
+
+/**
+ * Collect third-party script hosts and social profile links from a store page
+ * @param {import('cheerio').CheerioAPI} $
+ * @param {string} baseUrl
+ */
+export const extractStoreIntegrations = ($, baseUrl) => {
+    const ownHost = new URL(baseUrl).hostname;
+    const scriptHosts = new Set();
+    const social = {};
+
+    $('script[src]').each((_, el) => {
+        try {
+            const { hostname } = new URL($(el).attr('src'), baseUrl);
+            if (hostname !== ownHost && !/(^|\.)(shopify|shopifycdn|shopifysvc)\.com$/.test(hostname)) {
+                scriptHosts.add(hostname);
+            }
+        } catch {
+            // Unparseable src attribute
+        }
+    });
+
+    $('a[href]').each((_, el) => {
+        try {
+            const url = new URL($(el).attr('href'), baseUrl);
+            for (const [network, pattern] of Object.entries(SOCIAL_HOSTS)) {
+                if (!social[network] && pattern.test(url.hostname) && url.pathname.length > 1) {
+                    social[network] = url.toString();
+                }
+            }
+        } catch {
+            // Unparseable href attribute
+        }
+    });
+
+    const hosts = [...scriptHosts];
+    const apps = [...new Set(hosts
+        .map(host => Object.entries(KNOWN_APPS).find(([domain]) => host === domain || host.endsWith(`.${domain}`))?.[1])
+        .filter(Boolean))];
+
+    return { apps, script_hosts: hosts, social };
+};
+
+/**
+ * Build the store profile record: /meta.json, theme, apps, social links and policy texts
+ * @param {string} baseUrl
+ * @param {{ request: Function }} fetchLayer - shared fetch layer, see fetch-layer.js
+ */
+export const fetchStoreProfile = async (baseUrl, fetchLayer) => {
+    const origin = getBaseDomain(baseUrl) || baseUrl;
+
+    const metaResponse = await fetchPage(`${origin}/meta.json`, fetchLayer, 'json');
+    const meta = metaResponse?.body || {};
+
+    const homeResponse = await fetchPage(origin, fetchLayer);
+    const $ = homeResponse ? load(homeResponse.body) : null;
+
+    const policies = {};
+    for (const [key, slug] of Object.entries(POLICIES)) {
+        const response = await fetchPage(`${origin}/policies/${slug}`, fetchLayer);
+        if (!response) {
+            policies[key] = null;
+            continue;
+        }
+        const $policy = load(response.body);
+        const body = $policy('.shopify-policy__body').html() || $policy('main').html() || '';
+        policies[key] = cleanText(body) || null;
+    }
+
+    return {
+        url: origin,
+        name: meta.name || $?.('meta[property="og:site_name"]').attr('content') || null,
+        myshopify_domain: meta.myshopify_domain || null,
+        shop_id: meta.id || null,
+        description: meta.description || null,
+        currency: meta.currency || null,
+        country: meta.country || null,
+        province: meta.province || null,
+        city: meta.city || null,
+        published_products_count: meta.published_products_count ?? null,
+        published_collections_count: meta.published_collections_count ?? null,
+        theme: homeResponse ? extractShopifyTheme(homeResponse.body) : null,
+        ...($ ? extractStoreIntegrations($, origin) : { apps: [], script_hosts: [], social: {} }),
+        policies,
+        scraped_at: new Date().toISOString(),
+    };
+};
@@ -0,0 +1,194 @@
+// Storefront GraphQL API extraction for Shopify Product Scraper
+import { log } from 'apify';
+
+export const STOREFRONT_API_VERSION = '2024-04';
+
+const WEIGHT_UNITS = { GRAMS: 'g', KILOGRAMS: 'kg', POUNDS: 'lb', OUNCES: 'oz' };
+
+/**
+ * Find the public Storefront API access token (and endpoint, for headless stores that call
+ * their myshopify domain) in a store page
+ * @param {string} html
+ * @param {string} baseUrl
+ * @returns {{ endpoint: string, token: string } | null}
+ */
+export const discoverStorefrontToken = (html, baseUrl) => {
+    const source = `${html || ''}`;
+    const patterns = [
+        // Online store themes: <script id="shopify-features">{"accessToken":"..."}</script>
+        /id="shopify-features"[^>]*>[^<]*"accessToken"\s*:\s*"([a-f0-9]{32})"/,
+        /<meta[^>]+name="shopify-checkout-api-token"[^>]+content="([a-f0-9]{32})"/,
+        // Headless storefronts inline their client config
+        /storefront[_-]?access[_-]?token["']?\s*[:=]\s*["']([a-f0-9]{32})["']/i,
+        /X-Shopify-Storefront-Access-Token["']?\s*[:=]\s*["']([a-f0-9]{32})["']/i,
+    ];
+
+    const token = patterns.map(pattern => source.match(pattern)?.[1]).find(Boolean);
+    if (!token) return null;
+
+    const apiUrl = source.match(/https:\/\/[a-z0-9-]+\.myshopify\.com\/api\/[\w-]+\/graphql(?:\.json)?/i)?.[0];
+    return { endpoint: apiUrl || `${baseUrl}/api/${STOREFRONT_API_VERSION}/graphql.json`, token };
+};
+
+// Currencies with one country to price them in; shared currencies such as EUR have no single
+// `@inContext` country and are left out
+const CURRENCY_COUNTRIES = {
+    AED: 'AE', AUD: 'AU', BRL: 'BR', CAD: 'CA', CHF: 'CH', CNY: 'CN', CZK: 'CZ', DKK: 'DK', GBP: 'GB',
+    HKD: 'HK', HUF: 'HU', IDR: 'ID', ILS: 'IL', INR: 'IN', JPY: 'JP', KRW: 'KR', MXN: 'MX', MYR: 'MY',
+    NOK: 'NO', NZD: 'NZ', PHP: 'PH', PLN: 'PL', RON: 'RO', SAR: 'SA', SEK: 'SE', SGD: 'SG', THB: 'TH',
+    TRY: 'TR', TWD: 'TW', USD: 'US', ZAR: 'ZA',
+};
+
+/**
+ * Country code for `@inContext` from a market path prefix such as `en-ca`, or from the currency
+ * of a currency market (`CAD`)
+ * @param {{ prefix?: string | null, currency?: string | null } | null} market
+ */
+const marketCountry = (market) => market?.prefix?.match(/-([a-z]{2})$/i)?.[1]?.toUpperCase()
+    || CURRENCY_COUNTRIES[market?.currency?.toUpperCase()]
+    || null;
+
+/**
+ * Whether the Storefront API can return a market's prices. A currency market needs a country
+ * for `@inContext`; without one the API answers in the default currency.
+ * @param {{ prefix?: string | null, currency?: string | null } | null} market
+ */
+export const supportsStorefrontMarket = (market) => !market?.currency || !!marketCountry(market);
+
+/**
+ * Build the products query; `products` for the whole catalog, `collection.products` for one
+ * collection, `product` for a single handle
+ * @param {{ collectionHandle?: string | null, productHandle?: string | null, metafields?: { namespace: string, key: string }[], country?: string | null }} options
+ */
+const buildProductsQuery = ({ collectionHandle, productHandle, metafields = [], country }) => {
+    const identifiers = metafields.map(m => `{ namespace: ${JSON.stringify(m.namespace)}, key: ${JSON.stringify(m.key)} }`).join(', ');
+    const productFields = `
+        id handle title descriptionHtml vendor productType tags createdAt updatedAt publishedAt
+        options { name values }
+        images(first: 20) { edges { node { url altText } } }
+        collections(first: 50) { edges { node { handle title } } }
+        ${identifiers ? `metafields(identifiers: [${identifiers}]) { namespace key value type }` : ''}
+        variants(first: 100) { edges { node {
+            id title sku barcode availableForSale requiresShipping weight weightUnit
+            price { amount currencyCode }
+            compareAtPrice { amount currencyCode }
+            selectedOptions { name value }
+            image { url }
+        } } }`;
+    const connection = `products(first: $first, after: $after) { pageInfo { hasNextPage endCursor } edges { node { ${productFields} } } }`;
+    const context = country ? `@inContext(country: ${country})` : '';
+
+    if (productHandle) {
+        return `query Product($handle: String!) ${context} { product(handle: $handle) { ${productFields} } }`;
+    }
+    if (collectionHandle) {
+        return `query CollectionProducts($handle: String!, $first: Int!, $after: String) ${context} { collection(handle: $handle) { ${connection} } }`;
+    }
+    return `query Products($first: Int!, $after: String) ${context} { ${connection} }`;
+};
+
+/**
+ * Map a Storefront API product node to the `products.json` shape transformProduct expects;
+ * ids stay `gid://shopify/...` and are normalized there with removeGuid
+ * @param {Record<string, any>} node
+ */
+export const fromStorefrontProduct = (node) => {
+    const optionNames = (node.options || []).map(option => option.name);
+    const variants = (node.variants?.edges || []).map(({ node: variant }) => {
+        const options = Object.fromEntries((variant.selectedOptions || []).map(o => [o.name, o.value]));
+        return {
+            id: variant.id,
+            title: variant.title,
+            sku: variant.sku || null,
+            barcode: variant.barcode || null,
+            price: variant.price?.amount ?? null,
+            compare_at_price: variant.compareAtPrice?.amount ?? null,
+            available: variant.availableForSale,
+            requires_shipping: variant.requiresShipping,
+            weight: variant.weight ?? null,
+            weight_unit: WEIGHT_UNITS[variant.weightUnit] || null,
+            ...Object.fromEntries(optionNames.map((name, i) => [`option${i + 1}`, options[name] ?? null])),
+            image: variant.image?.url || null,
+        };
+    });
+
+    return {
+        id: node.id,
+        title: node.title,
+        handle: node.handle,
+        body_html: node.descriptionHtml || '',
+        vendor: node.vendor,
+        product_type: node.productType,
+        tags: node.tags || [],
+        created_at: node.createdAt,
+        updated_at: node.updatedAt,
+        published_at: node.publishedAt,
+        currency: node.variants?.edges?.[0]?.node?.price?.currencyCode || null,
+        options: (node.options || []).map((option, i) => ({ name: option.name, position: i + 1, values: option.values })),
+        images: [
+            ...variants.filter(v => v.image).map(v => ({ src: v.image, variant_ids: [v.id] })),
+            ...(node.images?.edges || []).map(({ node: image }) => ({ src: image.url, alt: image.altText || null, variant_ids: [] })),
+        ],
+        variants,
+        collections: (node.collections?.edges || []).map(({ node: collection }) => ({ handle: collection.handle, title: collection.title || null })),
+        metafields: Object.fromEntries((node.metafields || []).filter(Boolean).map(m => [`${m.namespace}.${m.key}`, m.value])),
+    };
+};
+
+/**
+ * Fetch one page of products from the Storefront API. Returns null when the request fails or
+ * the market can't be priced by the API (see supportsStorefrontMarket).
+ * @param {{ endpoint: string, token: string }} api
+ * @param {{ collectionHandle?: string | null, productHandle?: string | null, after?: string | null, first?: number, metafields?: { namespace: string, key: string }[], market?: Record<string, any> | null }} options
+ * @param {{ request: Function }} fetchLayer - shared fetch layer, see fetch-layer.js
+ * @returns {Promise<{ products: Record<string, any>[], hasNextPage: boolean, endCursor: string | null } | null>}
+ */
+export const fetchStorefrontProducts = async (api, {
+    collectionHandle = null,
+    productHandle = null,
+    after = null,
+    first = 250,
+    metafields = [],
+    market = null,
+} = {}, fetchLayer) => {
+    if (!supportsStorefrontMarket(market)) {
+        log.debug(`Storefront API can't price market ${market.id}, no single country uses ${market.currency}`);
+        return null;
+    }
+
+    try {
+        const response = await fetchLayer.request(api.endpoint, {
+            method: 'POST',
+            headers: { 'X-Shopify-Storefront-Access-Token': api.token },
+            json: {
+                query: buildProductsQuery({ collectionHandle, productHandle, metafields, country: marketCountry(market) }),
+                variables: { handle: productHandle || collectionHandle || undefined, first, after },
+            },
+        });
+
+        if (!response.ok || !response.body?.data) {
+            log.debug(`Storefront API returned ${response.statusCode} (${response.category})`, { errors: response.body?.errors });
+            return null;
+        }
+        if (response.body.errors?.length) {
+            log.debug('Storefront API returned partial errors', { errors: response.body.errors });
+        }
+
+        const { data } = response.body;
+        if (productHandle) {
+            return { products: data.product ? [fromStorefrontProduct(data.product)] : [], hasNextPage: false, endCursor: null };
+        }
+
+        const connection = collectionHandle ? data.collection?.products : data.products;
+        if (!connection) return null;
+
+        return {
+            products: connection.edges.map(({ node }) => fromStorefrontProduct(node)),
+            hasNextPage: connection.pageInfo.hasNextPage,
+            endCursor: connection.pageInfo.endCursor,
+        };
+    } catch (err) {
+        log.debug(`Storefront API request failed: ${err.message}`);
+        return null;
+    }
+};
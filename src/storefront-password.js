@@ -0,0 +1,77 @@
+// Storefront password handling for Shopify Product Scraper
+import { log } from 'apify';
+import { load } from 'cheerio';
+import { normalizeShopifyUrl } from './helpers.js';
+
+/**
+ * Host without protocol and `www.`, for matching configured stores
+ * @param {string} url
+ */
+const storeHost = (url) => {
+    try {
+        return new URL(normalizeShopifyUrl(`${url}`.trim())).host.replace(/^www\./, '');
+    } catch {
+        return null;
+    }
+};
+
+/**
+ * Find the password configured for a store. Keys may be store URLs or bare domains.
+ * @param {Record<string, string>} passwords - `storefrontPasswords` input
+ * @param {string} baseUrl
+ */
+export const storefrontPasswordFor = (passwords, baseUrl) => {
+    const host = storeHost(baseUrl);
+    const entry = Object.entries(passwords || {}).find(([key, value]) => value && storeHost(key) === host);
+    return entry ? `${entry[1]}` : null;
+};
+
+/**
+ * Fields of the storefront password form, hidden inputs included, with the password filled in
+ * @param {string} html - the /password page
+ * @param {string} password
+ */
+const passwordFormFields = (html, password) => {
+    const $ = load(html || '');
+    const form = $('form[action$="/password"]').filter((_, el) => $(el).find('input[type="password"], input[name="password"]').length > 0).first();
+    const fields = { form_type: 'storefront_password', utf8: '✓' };
+    form.find('input[name]').each((_, el) => {
+        fields[$(el).attr('name')] = $(el).attr('value') ?? '';
+    });
+    return { ...fields, password };
+};
+
+/**
+ * Unlock a password-protected storefront: submit the /password form and keep the cookies it sets
+ * in the fetch layer, which sends them with every API and page request to the store.
+ * @param {string} baseUrl
+ * @param {string} password
+ * @param {ReturnType<import('./fetch-layer.js').createFetchLayer>} fetchLayer
+ * @returns {Promise<'not_protected' | 'unlocked' | 'invalid_password' | 'unreachable'>}
+ */
+export const unlockStorefront = async (baseUrl, password, fetchLayer) => {
+    const home = await fetchLayer.request(`${baseUrl}/`, { responseType: 'text' });
+    if (home.category !== 'password_page') return home.ok ? 'not_protected' : 'unreachable';
+
+    const passwordPage = await fetchLayer.request(`${baseUrl}/password`, { responseType: 'text' });
+    const response = await fetchLayer.request(`${baseUrl}/password`, {
+        method: 'POST',
+        responseType: 'text',
+        form: passwordFormFields(passwordPage.body, password),
+        followRedirect: false,
+        retries: 1,
+    });
+    if (!response.statusCode) return 'unreachable';
+
+    const cookies = [response.headers['set-cookie'] || []].flat().map(cookie => `${cookie}`.split(';')[0]).filter(Boolean);
+    fetchLayer.setCookies(baseUrl, cookies);
+    log.debug(`Password form for ${baseUrl} returned ${response.statusCode} with ${cookies.length} cookies`);
+
+    // A rejected password re-renders (or redirects back to) the password page
+    const check = await fetchLayer.request(`${baseUrl}/`, { responseType: 'text' });
+    if (check.category === 'password_page') {
+        fetchLayer.setCookies(baseUrl, []);
+        return 'invalid_password';
+    }
+    return check.ok ? 'unlocked' : 'unreachable';
+};
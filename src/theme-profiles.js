@@ -0,0 +1,96 @@
+// Theme-aware HTML extraction profiles for Shopify Product Scraper
+
+// Free Online Store 2.0 themes share Dawn's card markup
+const DAWN_FAMILY = ['dawn', 'refresh', 'sense', 'craft', 'crave', 'studio', 'taste', 'origin', 'colorblock', 'ride', 'spotlight', 'publisher', 'trade'];
+
+/**
+ * Product card selectors per theme. `price` is the current price, `comparePrice` the struck-through
+ * one, `soldOut` an element only present on sold-out cards.
+ */
+export const THEME_PROFILES = {
+    dawn: {
+        themes: DAWN_FAMILY,
+        card: '.product-card-wrapper, .card-wrapper',
+        title: '.card__heading a, .card__heading',
+        link: 'a.full-unstyled-link, .card__heading a',
+        price: '.price__sale .price-item--sale, .price__regular .price-item--regular',
+        comparePrice: '.price--on-sale .price__sale s.price-item--regular',
+        image: '.card__media img',
+        soldOut: '.price--sold-out',
+    },
+    debut: {
+        themes: ['debut', 'brooklyn', 'simple', 'narrative', 'venture', 'boundless', 'minimal', 'supply'],
+        card: '.grid-view-item, .product-card',
+        title: '.grid-view-item__title, .product-card__title',
+        link: 'a.grid-view-item__link, a.full-width-link, a.product-card',
+        price: '.price__sale .price-item--sale, .price__regular .price-item--regular',
+        comparePrice: '.price--on-sale .price__sale s.price-item--regular',
+        image: 'img.grid-view-item__image, .product-card__image img, img',
+        soldOut: '.price--sold-out',
+    },
+    impulse: {
+        themes: ['impulse', 'motion', 'streamline'],
+        card: '.grid-product',
+        title: '.grid-product__title',
+        link: 'a.grid-product__link',
+        price: '.grid-product__price--current, .grid-product__price',
+        comparePrice: '.grid-product__price--original',
+        image: '.grid-product__image, img',
+        soldOut: '.grid-product__tag--sold-out',
+    },
+    prestige: {
+        themes: ['prestige'],
+        card: '.ProductItem, product-card',
+        title: '.ProductItem__Title, .product-card__title',
+        link: '.ProductItem__Title a, a.ProductItem__ImageWrapper, .product-card__title a',
+        price: '.ProductItem__Price:not(.Price--compareAt), sale-price',
+        comparePrice: '.ProductItem__Price.Price--compareAt, compare-at-price',
+        image: '.ProductItem__Image, .product-card__image, img',
+        soldOut: '.ProductItem__Label--soldOut, .product-card__badge-list .badge--sold-out',
+    },
+    turbo: {
+        themes: ['turbo'],
+        card: '.product-list .thumbnail, .product-wrap',
+        title: '.product-thumbnail__title, .title',
+        link: 'a.hidden-product-link, a[href*="/products/"]',
+        price: '.product-thumbnail__price .money:not(.was_price .money), .price .money',
+        comparePrice: '.was_price .money',
+        image: 'img',
+        soldOut: '.sold_out',
+    },
+    generic: {
+        themes: [],
+        card: '.product-item, .product-card, [data-product-id], .grid-product, .product, article[data-product]',
+        title: '.product-title, .product-card__title, h3, h2, a',
+        link: 'a[href*="/products/"], a',
+        price: '.price, [class*="price"], .product-price',
+        comparePrice: '.compare-at-price, .was-price, s, del',
+        image: 'img',
+        soldOut: null,
+    },
+};
+
+/**
+ * Pick the extraction profile for a store theme. User profiles from `htmlSelectors` come
+ * first; one without `themes` applies to every store. Missing selectors fall back to the
+ * generic profile.
+ * @param {{ name?: string | null, schema_name?: string | null } | null} theme - from Shopify.theme
+ * @param {Record<string, Record<string, any>>} [userProfiles]
+ * @returns {{ name: string, selectors: Record<string, string | null> }}
+ */
+export const selectThemeProfile = (theme, userProfiles = {}) => {
+    const themeNames = [theme?.schema_name, theme?.name].filter(Boolean).map(name => `${name}`.toLowerCase());
+    const matches = (profile) => !profile.themes?.length
+        || profile.themes.some(t => themeNames.some(name => name === `${t}`.toLowerCase() || name.startsWith(`${t}`.toLowerCase())));
+
+    const userMatch = Object.entries(userProfiles || {}).find(([, profile]) => profile && typeof profile === 'object' && matches(profile));
+    if (userMatch) {
+        const [name, selectors] = userMatch;
+        return { name: `custom:${name}`, selectors: { ...THEME_PROFILES.generic, ...selectors } };
+    }
+
+    const [name, selectors] = Object.entries(THEME_PROFILES)
+        .find(([key, profile]) => key !== 'generic' && themeNames.length && profile.themes.length && matches(profile))
+        || ['generic', THEME_PROFILES.generic];
+    return { name, selectors };
+};
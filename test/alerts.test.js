@@ -0,0 +1,182 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createHmac } from 'node:crypto';
+import { createServer } from 'node:http';
+import { alertKey, evaluateAlertRules, parseAlertRules, sendAlertWebhook, signPayload } from '../src/alerts.js';
+
+const variant = (overrides = {}) => ({
+    id: 1,
+    variant_id: 11,
+    title: 'Wool Runner',
+    variant_title: '10',
+    vendor: 'Allbirds',
+    product_type: 'Shoes',
+    description: 'Soft merino wool sneakers',
+    tags: ['wool', 'new-arrival'],
+    url: 'https://shop.example/products/wool-runner',
+    market: null,
+    price: 80,
+    compare_at_price: 100,
+    currency: 'USD',
+    discount_percent: 20,
+    available: true,
+    ...overrides,
+});
+
+/**
+ * Webhook receiver answering with the given status codes in turn (the last one repeats)
+ * @param {number[]} statuses
+ */
+const startReceiver = async (statuses) => {
+    const requests = [];
+    const server = createServer((req, res) => {
+        let body = '';
+        req.on('data', (chunk) => { body += chunk; });
+        req.on('end', () => {
+            requests.push({ method: req.method, headers: req.headers, body });
+            res.statusCode = statuses[Math.min(requests.length, statuses.length) - 1];
+            res.end();
+        });
+    });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    return {
+        requests,
+        url: `http://127.0.0.1:${server.address().port}/hook`,
+        close: () => new Promise(resolve => server.close(resolve)),
+    };
+};
+
+test('parseAlertRules normalizes rules and rejects invalid ones', () => {
+    assert.deepEqual(parseAlertRules(null), []);
+    assert.deepEqual(parseAlertRules([
+        { type: 'price_below', price: '50' },
+        { type: 'new_product', vendor: 'Allbirds', name: 'allbirds-new' },
+        { type: 'keyword', keywords: [' Merino ', ''] },
+    ]), [
+        { name: 'price_below', type: 'price_below', price: 50, percent: null, vendors: [], keywords: [] },
+        { name: 'allbirds-new', type: 'new_product', price: null, percent: null, vendors: ['allbirds'], keywords: [] },
+        { name: 'keyword', type: 'keyword', price: null, percent: null, vendors: [], keywords: ['merino'] },
+    ]);
+
+    assert.throws(() => parseAlertRules({ type: 'price_below' }), /expected an array/);
+    assert.throws(() => parseAlertRules([{ type: 'sold_out' }]), /alertRules\[0\]: type must be one of/);
+    assert.throws(() => parseAlertRules([{ type: 'price_below', price: '' }]), /price_below needs a price/);
+    assert.throws(() => parseAlertRules([{ type: 'discount_above' }]), /discount_above needs a percent/);
+    assert.throws(() => parseAlertRules([{ type: 'keyword', keywords: [] }]), /keyword needs keywords/);
+});
+
+test('price and discount rules fire per matching variant', () => {
+    const rules = parseAlertRules([{ type: 'price_below', price: 90 }, { type: 'discount_above', percent: 25, name: 'big-sale' }]);
+    const records = [
+        variant(),
+        variant({ variant_id: 12, price: 95, compare_at_price: 100, discount_percent: 5 }),
+        variant({ variant_id: 13, price: 60, discount_percent: 40 }),
+        variant({ variant_id: 14, price: null, compare_at_price: null, discount_percent: null }),
+    ];
+
+    const alerts = evaluateAlertRules(rules, records);
+
+    assert.deepEqual(alerts.map(a => [a.rule, a.variant_id, a.matched]), [
+        ['price_below', 11, 90],
+        ['price_below', 13, 90],
+        ['big-sale', 13, 25],
+    ]);
+    assert.equal(alerts[0].title, 'Wool Runner');
+    assert.equal(alerts[0].discount_percent, 20);
+    assert.ok(!Number.isNaN(Date.parse(alerts[0].detected_at)));
+});
+
+test('back_in_stock compares against the previous snapshot', () => {
+    const rules = parseAlertRules([{ type: 'back_in_stock' }]);
+    const previous = { variants: { 11: { available: false }, 12: { available: true } } };
+    const records = [variant(), variant({ variant_id: 12 }), variant({ variant_id: 13 })];
+
+    assert.deepEqual(evaluateAlertRules(rules, records, { previous, hasHistory: true }).map(a => a.variant_id), [11]);
+    assert.deepEqual(evaluateAlertRules(rules, records), []);
+});
+
+test('new_product needs an earlier snapshot and fires once per product', () => {
+    const rules = parseAlertRules([{ type: 'new_product', vendors: ['allbirds'] }, { type: 'new_product', vendors: ['other'], name: 'other-new' }]);
+    const records = [variant(), variant({ variant_id: 12 })];
+
+    const alerts = evaluateAlertRules(rules, records, { hasHistory: true });
+    assert.equal(alerts.length, 1);
+    assert.equal(alerts[0].variant_id, null, 'product-level alerts carry no variant');
+    assert.equal(alerts[0].matched, 'Allbirds');
+
+    assert.deepEqual(evaluateAlertRules(rules, records, { hasHistory: false }), [], 'the first run makes every product new');
+    assert.deepEqual(evaluateAlertRules(rules, records, { previous: { variants: {} }, hasHistory: true }), []);
+});
+
+test('keyword rules search title, description, type and tags', () => {
+    const rules = parseAlertRules([{ type: 'keyword', keywords: ['limited', 'merino'] }, { type: 'keyword', keyword: 'new-arrival', name: 'tagged' }]);
+
+    const alerts = evaluateAlertRules(rules, [variant(), variant({ variant_id: 12 })]);
+
+    assert.deepEqual(alerts.map(a => [a.rule, a.matched, a.variant_id]), [['keyword', 'merino', null], ['tagged', 'new-arrival', null]]);
+    assert.deepEqual(evaluateAlertRules(parseAlertRules([{ type: 'keyword', keyword: 'cotton' }]), [variant()]), []);
+});
+
+test('alertKey dedups per rule, market and variant', () => {
+    const rules = parseAlertRules([{ type: 'price_below', price: 90 }]);
+    const [first] = evaluateAlertRules(rules, [variant()]);
+    const [again] = evaluateAlertRules(rules, [variant()]);
+    const [otherMarket] = evaluateAlertRules(rules, [variant({ market: 'en-ca' })]);
+
+    assert.equal(alertKey(first), 'price_below||1|11');
+    assert.equal(alertKey(again), alertKey(first));
+    assert.equal(alertKey(otherMarket), 'price_below|en-ca|1|11');
+});
+
+test('signPayload is the hex HMAC-SHA256 of the body', () => {
+    const body = '{"count":1}';
+    assert.equal(signPayload(body, 'secret'), `sha256=${createHmac('sha256', 'secret').update(body).digest('hex')}`);
+    assert.notEqual(signPayload(body, 'secret'), signPayload('{"count":2}', 'secret'));
+});
+
+test('sendAlertWebhook posts the batch once, signed', async () => {
+    const receiver = await startReceiver([204]);
+    const payload = { count: 2, alerts: [{ rule: 'a', id: 1 }, { rule: 'b', id: 2 }] };
+
+    try {
+        const result = await sendAlertWebhook(receiver.url, payload, { secret: 'topsecret', retryDelayMs: 1 });
+
+        assert.deepEqual(result, { delivered: true, attempts: 1, statusCode: 204, error: null });
+        assert.equal(receiver.requests.length, 1);
+        const [request] = receiver.requests;
+        assert.equal(request.method, 'POST');
+        assert.equal(request.headers['content-type'], 'application/json');
+        assert.deepEqual(JSON.parse(request.body), payload);
+        assert.equal(request.headers['x-alert-signature'], signPayload(request.body, 'topsecret'));
+    } finally {
+        await receiver.close();
+    }
+});
+
+test('sendAlertWebhook retries 429 and 5xx responses but not other failures', async () => {
+    const flaky = await startReceiver([503, 429, 200]);
+    try {
+        const result = await sendAlertWebhook(flaky.url, { count: 0, alerts: [] }, { retryDelayMs: 1 });
+        assert.deepEqual(result, { delivered: true, attempts: 3, statusCode: 200, error: null });
+        assert.equal(flaky.requests[0].headers['x-alert-signature'], undefined, 'no secret, no signature');
+        assert.equal(new Set(flaky.requests.map(r => r.body)).size, 1, 'every attempt sends the same body');
+    } finally {
+        await flaky.close();
+    }
+
+    const rejecting = await startReceiver([400]);
+    try {
+        const result = await sendAlertWebhook(rejecting.url, { count: 0, alerts: [] }, { retryDelayMs: 1 });
+        assert.deepEqual(result, { delivered: false, attempts: 1, statusCode: 400, error: 'HTTP 400' });
+    } finally {
+        await rejecting.close();
+    }
+
+    const down = await startReceiver([500]);
+    try {
+        const result = await sendAlertWebhook(down.url, { count: 0, alerts: [] }, { retries: 2, retryDelayMs: 1 });
+        assert.deepEqual(result, { delivered: false, attempts: 3, statusCode: 500, error: 'HTTP 500' });
+    } finally {
+        await down.close();
+    }
+});
@@ -0,0 +1,76 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createServer } from 'node:http';
+import { cdnSizedUrl, createImageDownloader } from '../src/images.js';
+
+// 1x1 PNG header, enough for the dimension parser
+const PNG = Buffer.alloc(40);
+PNG.writeUInt32BE(0x89504e47, 0);
+PNG.writeUInt32BE(1, 16);
+PNG.writeUInt32BE(1, 20);
+
+/**
+ * In-memory stand-in for a key-value store; writes take a while, like the platform's
+ */
+const slowStore = () => {
+    const values = new Map();
+    const writes = [];
+    return {
+        values,
+        writes,
+        recordExists: async key => values.has(key),
+        setValue: async (key, value) => {
+            writes.push(key);
+            await new Promise(resolve => setTimeout(resolve, 20));
+            values.set(key, value);
+        },
+    };
+};
+
+test('cdnSizedUrl replaces only a Shopify size token before the extension', () => {
+    const cdn = 'https://cdn.shopify.com/s/files/1/0001/products';
+    assert.equal(cdnSizedUrl(`${cdn}/shoe.jpg?v=1`, '800x'), `${cdn}/shoe_800x.jpg?v=1`);
+    assert.equal(cdnSizedUrl(`${cdn}/shoe_1024x1024.jpg`, '800x'), `${cdn}/shoe_800x.jpg`);
+    assert.equal(cdnSizedUrl(`${cdn}/shoe_x600.jpg`, '800x'), `${cdn}/shoe_800x.jpg`);
+    assert.equal(cdnSizedUrl(`${cdn}/shoe_grande.jpg`, 'x600'), `${cdn}/shoe_x600.jpg`);
+    assert.equal(cdnSizedUrl('https://shop.example/cdn/shop/files/shoe.png', '800x'), 'https://shop.example/cdn/shop/files/shoe_800x.png');
+
+    // Size-like parts of the file's own name are kept
+    assert.equal(cdnSizedUrl(`${cdn}/banner_2x3.jpg`, '800x'), `${cdn}/banner_2x3_800x.jpg`);
+    assert.equal(cdnSizedUrl(`${cdn}/shoe_10x.png`, '800x'), `${cdn}/shoe_10x_800x.png`);
+    assert.equal(cdnSizedUrl(`${cdn}/poster_100x100_300x.jpg`, '800x'), `${cdn}/poster_100x100_800x.jpg`, 'one size token is replaced');
+
+    assert.equal(cdnSizedUrl(`${cdn}/shoe.jpg`, ''), `${cdn}/shoe.jpg`);
+    assert.equal(cdnSizedUrl(`${cdn}/shoe.jpg`, 'x'), `${cdn}/shoe.jpg`);
+    assert.equal(cdnSizedUrl('https://images.example/shoe.jpg', '800x'), 'https://images.example/shoe.jpg');
+});
+
+test('images with the same content are stored once, even when downloaded concurrently', async () => {
+    const server = createServer((req, res) => {
+        res.writeHead(200, { 'content-type': 'image/png' });
+        res.end(PNG);
+    });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    const base = `http://127.0.0.1:${server.address().port}`;
+
+    try {
+        const store = slowStore();
+        const downloader = createImageDownloader({ store, concurrency: 4 });
+
+        const files = await Promise.all([`${base}/a.png`, `${base}/b.png`, `${base}/c.png`, `${base}/a.png`].map(url => downloader.download(url)));
+
+        assert.equal(store.writes.length, 1);
+        assert.equal(new Set(files.map(f => f.key)).size, 1);
+        assert.equal(files[0].width, 1);
+        assert.deepEqual(downloader.stats, { downloaded: 1, deduplicated: 2, failed: 0, bytes: PNG.length });
+
+        // A later run finds the file already stored
+        const again = createImageDownloader({ store, concurrency: 4 });
+        const file = await again.download(`${base}/d.png`);
+        assert.equal(file.key, files[0].key);
+        assert.equal(store.writes.length, 1);
+        assert.equal(again.stats.deduplicated, 1);
+    } finally {
+        await new Promise(resolve => server.close(resolve));
+    }
+});
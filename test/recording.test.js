@@ -0,0 +1,119 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createServer } from 'node:http';
+import { createHttpRecorder, exchangeKey } from '../src/recording.js';
+
+/**
+ * In-memory stand-in for a key-value store
+ */
+const memoryStore = () => {
+    const values = new Map();
+    return {
+        values,
+        getValue: async key => values.get(key) ?? null,
+        setValue: async (key, value) => { values.set(key, JSON.parse(JSON.stringify(value))); },
+    };
+};
+
+/**
+ * Server answering /missing with a 404, /busy with a 429 and everything else with JSON
+ */
+const startServer = async () => {
+    const server = createServer((req, res) => {
+        if (req.url === '/missing') {
+            res.writeHead(404, { 'content-type': 'text/html' });
+            return res.end('<h1>Not found</h1>');
+        }
+        if (req.url === '/busy') {
+            res.writeHead(429, { 'content-type': 'text/plain', 'retry-after': '2' });
+            return res.end('Slow down');
+        }
+        res.writeHead(200, { 'content-type': 'application/json' });
+        return res.end(JSON.stringify({ path: req.url }));
+    });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    return {
+        url: `http://127.0.0.1:${server.address().port}`,
+        close: () => new Promise(resolve => server.close(resolve)),
+    };
+};
+
+const request = (url, options = {}) => ({ url, useHeaderGenerator: false, retry: { limit: 0 }, ...options });
+
+test('exchangeKey depends on method, URL and body', () => {
+    const url = 'https://shop.example/api/graphql.json';
+    assert.equal(exchangeKey({ url }), exchangeKey({ url, method: 'get' }));
+    assert.notEqual(exchangeKey({ url }), exchangeKey({ url, method: 'POST' }));
+    assert.notEqual(exchangeKey({ url, method: 'POST', json: { a: 1 } }), exchangeKey({ url, method: 'POST', json: { a: 2 } }));
+    assert.match(exchangeKey({ url }), /^http-[0-9a-f]{32}$/);
+});
+
+test('error responses are recorded and returned like got-scraping returns them', async () => {
+    const server = await startServer();
+    const store = memoryStore();
+    try {
+        const recorder = await createHttpRecorder({ mode: 'record', store });
+
+        const missing = await recorder.send(request(`${server.url}/missing`));
+        assert.equal(missing.statusCode, 404);
+        assert.equal(missing.body, '<h1>Not found</h1>');
+
+        // Callers that turn throwHttpErrors on get got's error, with the response attached
+        await assert.rejects(recorder.send(request(`${server.url}/missing`, { throwHttpErrors: true })), (error) => {
+            assert.equal(error.name, 'HTTPError');
+            assert.equal(error.code, 'ERR_NON_2XX_3XX_RESPONSE');
+            assert.equal(error.response.statusCode, 404);
+            return true;
+        });
+
+        const ok = await recorder.send(request(`${server.url}/products.json`, { responseType: 'json' }));
+        assert.deepEqual(ok.body, { path: '/products.json' });
+
+        assert.equal(recorder.stats.recorded, 3);
+        assert.equal((await store.getValue(exchangeKey({ url: `${server.url}/missing` }))).status, 404);
+    } finally {
+        await server.close();
+    }
+
+    // The server is gone; a replay serves the same responses and errors from the store
+    const replay = await createHttpRecorder({ mode: 'replay', store });
+    assert.equal((await replay.send(request(`${server.url}/missing`))).statusCode, 404);
+    await assert.rejects(replay.send(request(`${server.url}/missing`, { throwHttpErrors: true })), { name: 'HTTPError' });
+    assert.deepEqual((await replay.send(request(`${server.url}/products.json`, { responseType: 'json' }))).body, { path: '/products.json' });
+    await assert.rejects(replay.send(request(`${server.url}/other`)), { category: 'not_recorded' });
+    assert.deepEqual(replay.stats, { recorded: 0, replayed: 3, missing: 1 });
+});
+
+test('the crawler stream gets 404 and 429 responses back in record and replay mode', async () => {
+    const server = await startServer();
+    const store = memoryStore();
+    const readAll = async (stream) => {
+        let text = '';
+        for await (const chunk of stream) text += chunk;
+        return text;
+    };
+    // The options crawlee's CheerioCrawler passes to its HTTP client
+    const streamOptions = (path) => ({ url: `${server.url}${path}`, method: 'GET', headers: {}, isStream: true, responseType: 'text', useHeaderGenerator: false });
+
+    try {
+        const recorder = await createHttpRecorder({ mode: 'record', store });
+        for (const [path, status] of [['/missing', 404], ['/busy', 429]]) {
+            const response = await recorder.httpClient.stream(streamOptions(path));
+            assert.equal(response.statusCode, status, `record ${path}`);
+        }
+        const busy = await recorder.httpClient.stream(streamOptions('/busy'));
+        assert.equal(busy.headers['retry-after'], '2');
+        assert.equal(await readAll(busy.stream), 'Slow down');
+    } finally {
+        await server.close();
+    }
+
+    const replay = await createHttpRecorder({ mode: 'replay', store });
+    for (const [path, status] of [['/missing', 404], ['/busy', 429]]) {
+        const response = await replay.httpClient.stream(streamOptions(path));
+        assert.equal(response.statusCode, status, `replay ${path}`);
+    }
+    const busy = await replay.httpClient.stream(streamOptions('/busy'));
+    assert.equal(busy.headers['retry-after'], '2');
+    assert.equal(await readAll(busy.stream), 'Slow down');
+});
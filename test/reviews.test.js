@@ -0,0 +1,138 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { load } from 'cheerio';
+import { collectReviews, REVIEW_FETCHERS } from '../src/reviews.js';
+
+const product = { id: 42, handle: 'wool-runner' };
+
+/**
+ * getJson double answering from a map of URL prefixes; records the requested URLs
+ * @param {Record<string, any>} responses
+ */
+const fakeGetJson = (responses = {}) => {
+    const urls = [];
+    const getJson = async (url) => {
+        urls.push(url);
+        const prefix = Object.keys(responses).find(p => url.startsWith(p));
+        return prefix ? responses[prefix] : null;
+    };
+    return { urls, getJson };
+};
+
+test('collectReviews reads rating and reviews from JSON-LD, including @graph', async () => {
+    const $ = load(`<script type="application/ld+json">${JSON.stringify({
+        '@graph': [{ '@type': 'Organization' }, {
+            '@type': 'Product',
+            aggregateRating: { ratingValue: '4,6', reviewCount: '12' },
+            review: [
+                { author: { name: ' Ann ' }, reviewRating: { ratingValue: 5 }, datePublished: '2024-03-01', name: 'Great', reviewBody: '<p>Very <b>comfy</b></p>' },
+                { author: 'Bob', reviewRating: { ratingValue: '3' }, datePublished: 'yesterday', description: 'Okay' },
+            ],
+        }],
+    })}</script>`);
+    const { getJson, urls } = fakeGetJson();
+
+    const result = await collectReviews({ $, product, limit: 5, getJson });
+
+    assert.equal(result.rating, 4.6);
+    assert.equal(result.review_count, 12);
+    assert.equal(result.review_source, 'json_ld');
+    assert.deepEqual(result.reviews, [
+        { author: 'Ann', rating: 5, date: '2024-03-01T00:00:00.000Z', title: 'Great', body: 'Very comfy' },
+        { author: 'Bob', rating: 3, date: null, title: null, body: 'Okay' },
+    ]);
+    assert.deepEqual(urls, [], 'a complete page needs no review app requests');
+});
+
+test('collectReviews reads review app badges from the page', async () => {
+    const badges = {
+        judgeme: ['<div class="jdgm-prev-badge" data-average-rating="4.20" data-number-of-reviews="7"></div>', 4.2, 7],
+        loox: ['<div class="loox-rating" data-rating="4.8" data-raters="31"></div>', 4.8, 31],
+        stamped: ['<span class="stamped-badge" data-rating="3.9"><span data-reviews="15"></span></span>', 3.9, 15],
+        yotpo: ['<div class="yotpo-bottomline"><span class="sr-only">4.5 star rating</span><a class="text-m">22 Reviews</a></div>', 4.5, 22],
+        shopify_reviews: ['<span class="spr-badge" data-rating="4.0"><span class="spr-badge-caption">9 reviews</span></span>', 4, 9],
+    };
+
+    for (const [source, [html, rating, count]] of Object.entries(badges)) {
+        const result = await collectReviews({ $: load(html), product, getJson: fakeGetJson().getJson, fetchers: {} });
+        assert.deepEqual(result, { rating, review_count: count, review_source: source }, source);
+    }
+});
+
+test('collectReviews falls back to the reviews.rating metafield', async () => {
+    const metafields = { 'reviews.rating': '{"scale_min":"1.0","scale_max":"5.0","value":"4.3"}', 'reviews.rating_count': '18' };
+    const result = await collectReviews({ product: { ...product, metafields }, getJson: fakeGetJson().getJson });
+    assert.deepEqual(result, { rating: 4.3, review_count: 18, review_source: 'shopify_reviews' });
+
+    const plain = await collectReviews({ product: { ...product, metafields: { 'reviews.rating': '3.5' } }, getJson: fakeGetJson().getJson });
+    assert.deepEqual(plain, { rating: 3.5, review_count: null, review_source: 'shopify_reviews' });
+});
+
+test('collectReviews returns empty fields when nothing is found', async () => {
+    const result = await collectReviews({ $: load('<html></html>'), product, limit: 3, getJson: fakeGetJson().getJson });
+    assert.deepEqual(result, { rating: null, review_count: null, review_source: null, reviews: [] });
+});
+
+test('the Judge.me fetcher loads the widget for the product', async () => {
+    const $ = load('<script>Shopify.shop = "acme.myshopify.com";</script><div class="jdgm-widget"></div>');
+    const widget = `<div class="jdgm-rev-widg" data-average-rating="4.75" data-number-of-reviews="4">
+        <div class="jdgm-rev"><span class="jdgm-rev__rating" data-score="5"></span><span class="jdgm-rev__timestamp" data-content="2024-05-02 10:00:00 UTC"></span>
+        <span class="jdgm-rev__author">Cleo</span><b class="jdgm-rev__title">Love them</b><div class="jdgm-rev__body"><p>Wear them daily</p></div></div></div>`;
+    const { getJson, urls } = fakeGetJson({ 'https://judge.me/api/v1/widgets/product_review': { widget } });
+
+    const result = await REVIEW_FETCHERS.judgeme({ $, html: $.html(), product, limit: 2, getJson });
+
+    assert.equal(result.source, 'judgeme');
+    assert.equal(result.rating, 4.75);
+    assert.equal(result.review_count, 4);
+    assert.deepEqual(result.reviews.map(r => [r.author, r.rating, r.title, r.body]), [['Cleo', 5, 'Love them', 'Wear them daily']]);
+    const params = new URL(urls[0]).searchParams;
+    assert.equal(params.get('shop_domain'), 'acme.myshopify.com');
+    assert.equal(params.get('handle'), 'wool-runner');
+    assert.equal(params.get('per_page'), '2');
+});
+
+test('the Yotpo and Stamped fetchers parse their API responses', async () => {
+    const yotpoPage = load('<div class="yotpo yotpo-main-widget" data-appkey="APPKEY"></div>');
+    const yotpo = fakeGetJson({
+        'https://api-cdn.yotpo.com/v1/widget/APPKEY/products/42/reviews.json': { response: {
+            bottomline: { average_score: 4.1, total_review: 30 },
+            reviews: [{ user: { display_name: 'Dee' }, score: 4, created_at: '2024-01-05T08:00:00Z', title: 'Nice', content: 'Fits well' }],
+        } },
+    });
+    const fromYotpo = await REVIEW_FETCHERS.yotpo({ $: yotpoPage, html: yotpoPage.html(), product, limit: 1, getJson: yotpo.getJson });
+    assert.deepEqual(fromYotpo, {
+        source: 'yotpo',
+        rating: 4.1,
+        review_count: 30,
+        reviews: [{ author: 'Dee', rating: 4, date: '2024-01-05T08:00:00.000Z', title: 'Nice', body: 'Fits well' }],
+    });
+
+    const stampedPage = load('<script>Shopify.shop = "acme.myshopify.com";</script><div id="stamped-main-widget" data-api-key="pubkey"></div>');
+    const stamped = fakeGetJson({
+        'https://stamped.io/api/widget/reviews': { rating: 4.9, total: 2, data: [{ author: 'Eve', reviewRating: 5, reviewDate: '2024-02-02', reviewTitle: 'Top', reviewMessage: 'Perfect' }] },
+    });
+    const fromStamped = await REVIEW_FETCHERS.stamped({ $: stampedPage, html: stampedPage.html(), product, limit: 1, getJson: stamped.getJson });
+    assert.equal(fromStamped.rating, 4.9);
+    assert.equal(fromStamped.review_count, 2);
+    assert.equal(fromStamped.reviews[0].author, 'Eve');
+    assert.equal(new URL(stamped.urls[0]).searchParams.get('productId'), '42');
+});
+
+test('collectReviews tries review app endpoints until rating and reviews are complete', async () => {
+    // The page has a Judge.me badge without reviews, the app endpoint supplies them
+    const $ = load('<div class="jdgm-prev-badge" data-average-rating="4.0" data-number-of-reviews="2"></div>');
+    const calls = [];
+    const fetchers = {
+        failing: async () => { calls.push('failing'); throw new Error('HTTP 500'); },
+        app: async () => { calls.push('app'); return { source: 'app', rating: 4.5, review_count: 2, reviews: [{ author: 'Fay', rating: 5, date: null, title: null, body: 'Good' }] }; },
+        unused: async () => { calls.push('unused'); return null; },
+    };
+
+    const result = await collectReviews({ $, product, limit: 1, getJson: fakeGetJson().getJson, fetchers });
+
+    assert.deepEqual(calls, ['failing', 'app']);
+    assert.equal(result.rating, 4, 'the first rated source wins');
+    assert.equal(result.review_source, 'judgeme');
+    assert.deepEqual(result.reviews.map(r => r.author), ['Fay']);
+});
@@ -0,0 +1,43 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createRunReport, renderReportHtml } from '../src/run-report.js';
+
+const build = (report) => report.build({
+    storeStates: new Map([['https://a.example', { status: 'done', saved: 1, methods: {} }], ['https://b.example', { status: 'done', saved: 0, methods: {} }]]),
+    failedUrls: [],
+    totals: {},
+});
+
+test('page timings stay bounded on long runs', () => {
+    const report = createRunReport();
+    for (let i = 1; i <= 5000; i++) {
+        report.page({ url: `https://a.example/collections/all?page=${i}`, statusCode: 200, attempt: 1, durationMs: i, ok: true });
+    }
+    report.page({ url: 'https://b.example/', statusCode: 503, attempt: 2, durationMs: 7, ok: false });
+
+    assert.equal(report.state.timings['https://a.example'].sample.length, 1000);
+    assert.equal(report.state.slowest.length, 20);
+    assert.ok(JSON.stringify(report.state).length < 50000, 'the state is saved to CRAWL-STATE');
+
+    const { totals, pageTimings, stores, slowestPages } = build(report);
+    assert.equal(totals.pages, 5001);
+    assert.equal(pageTimings.count, 5001);
+    assert.equal(pageTimings.maxMs, 5000);
+    assert.equal(pageTimings.avgMs, Math.round((5000 * 5001 / 2 + 7) / 5001));
+    assert.ok(pageTimings.p50Ms > 1500 && pageTimings.p50Ms < 3500, `median ${pageTimings.p50Ms} is roughly in the middle`);
+    assert.deepEqual(stores['https://b.example'].pageTimings, { count: 1, avgMs: 7, p50Ms: 7, p95Ms: 7, maxMs: 7 });
+    assert.deepEqual(slowestPages.slice(0, 2).map(p => p.durationMs), [5000, 4999]);
+    assert.equal(slowestPages[0].store, 'https://a.example');
+});
+
+test('a resumed report continues from the saved state', () => {
+    const first = createRunReport();
+    first.page({ url: 'https://a.example/', statusCode: 200, attempt: 1, durationMs: 100, ok: true });
+
+    const resumed = createRunReport({ restored: JSON.parse(JSON.stringify(first.state)) });
+    resumed.page({ url: 'https://a.example/collections/all', statusCode: 200, attempt: 1, durationMs: 300, ok: true });
+
+    const report = build(resumed);
+    assert.deepEqual(report.pageTimings, { count: 2, avgMs: 200, p50Ms: 300, p95Ms: 300, maxMs: 300 });
+    assert.match(renderReportHtml(report), /<td>https:\/\/a\.example\/collections\/all<\/td><td>200<\/td><td>1<\/td><td>300<\/td>/);
+});
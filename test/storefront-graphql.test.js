@@ -0,0 +1,245 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createServer } from 'node:http';
+import { createFetchLayer } from '../src/fetch-layer.js';
+import { discoverStorefrontToken, fetchStorefrontProducts, fromStorefrontProduct, supportsStorefrontMarket } from '../src/storefront-graphql.js';
+import { parseMarket, transformProduct } from '../src/helpers.js';
+
+const TOKEN = 'abcdef0123456789abcdef0123456789';
+
+const productNode = (n) => ({
+    id: `gid://shopify/Product/${n}`,
+    handle: `p${n}`,
+    title: `P${n}`,
+    descriptionHtml: '<p>Soft wool</p>',
+    vendor: 'Acme',
+    productType: 'Shoes',
+    tags: ['wool'],
+    createdAt: '2024-01-01T00:00:00Z',
+    updatedAt: '2024-02-01T00:00:00Z',
+    publishedAt: '2024-01-02T00:00:00Z',
+    options: [{ name: 'Size', values: ['S', 'M'] }, { name: 'Color', values: ['Red'] }],
+    images: { edges: [{ node: { url: 'https://cdn.shopify.com/a.jpg', altText: 'Front' } }] },
+    collections: { edges: [{ node: { handle: 'shoes', title: 'Shoes' } }] },
+    metafields: [{ namespace: 'reviews', key: 'rating', value: '4.5', type: 'rating' }, null],
+    variants: {
+        edges: [
+            { node: {
+                id: `gid://shopify/ProductVariant/${n}1`, title: 'S / Red', sku: 'SKU-S', barcode: null,
+                availableForSale: true, requiresShipping: true, weight: 0.5, weightUnit: 'KILOGRAMS',
+                price: { amount: '10.00', currencyCode: 'EUR' }, compareAtPrice: { amount: '12.50', currencyCode: 'EUR' },
+                selectedOptions: [{ name: 'Color', value: 'Red' }, { name: 'Size', value: 'S' }],
+                image: { url: 'https://cdn.shopify.com/s.jpg' },
+            } },
+            { node: {
+                id: `gid://shopify/ProductVariant/${n}2`, title: 'M / Red', sku: '', barcode: '12345678',
+                availableForSale: false, requiresShipping: true, weight: 0, weightUnit: 'GRAMS',
+                price: { amount: '11.00', currencyCode: 'EUR' }, compareAtPrice: null,
+                selectedOptions: [{ name: 'Size', value: 'M' }, { name: 'Color', value: 'Red' }],
+                image: null,
+            } },
+        ],
+    },
+});
+
+/**
+ * Storefront API server: checks the access token and answers each GraphQL request with
+ * `answer(json, attempt)` as `[status, body, headers?]`; records the requests
+ * @param {(json: Record<string, any>, attempt: number) => [number, any, Record<string, string>?]} answer
+ */
+const startStorefrontApi = async (answer) => {
+    const requests = [];
+    const server = createServer((req, res) => {
+        let body = '';
+        req.on('data', (chunk) => { body += chunk; });
+        req.on('end', () => {
+            const json = JSON.parse(body || '{}');
+            requests.push({ method: req.method, url: req.url, headers: req.headers, json });
+            const [status, response, headers = {}] = req.headers['x-shopify-storefront-access-token'] === TOKEN
+                ? answer(json, requests.length)
+                : [401, { errors: [{ message: 'Unauthorized' }] }];
+            res.writeHead(status, { 'content-type': 'application/json', ...headers });
+            res.end(JSON.stringify(response));
+        });
+    });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    const base = `http://127.0.0.1:${server.address().port}`;
+    return {
+        requests,
+        api: { endpoint: `${base}/api/2024-04/graphql.json`, token: TOKEN },
+        close: () => new Promise(resolve => server.close(resolve)),
+    };
+};
+
+const connection = (nodes, hasNextPage, endCursor) => ({
+    pageInfo: { hasNextPage, endCursor },
+    edges: nodes.map(node => ({ node })),
+});
+
+test('discoverStorefrontToken finds theme and headless tokens', () => {
+    const theme = `<script id="shopify-features" type="application/json">{"accessToken":"${TOKEN}","betas":[]}</script>`;
+    assert.deepEqual(discoverStorefrontToken(theme, 'https://shop.example'), {
+        endpoint: 'https://shop.example/api/2024-04/graphql.json',
+        token: TOKEN,
+    });
+
+    const headless = `window.config = { storefrontAccessToken: "${TOKEN}", api: "https://acme.myshopify.com/api/2023-10/graphql.json" }`;
+    assert.deepEqual(discoverStorefrontToken(headless, 'https://shop.example'), {
+        endpoint: 'https://acme.myshopify.com/api/2023-10/graphql.json',
+        token: TOKEN,
+    });
+
+    assert.equal(discoverStorefrontToken('<html></html>', 'https://shop.example'), null);
+});
+
+test('fromStorefrontProduct maps a node to the products.json shape', () => {
+    const product = fromStorefrontProduct(productNode(1));
+
+    assert.equal(product.id, 'gid://shopify/Product/1');
+    assert.equal(product.body_html, '<p>Soft wool</p>');
+    assert.equal(product.currency, 'EUR');
+    assert.deepEqual(product.options, [
+        { name: 'Size', position: 1, values: ['S', 'M'] },
+        { name: 'Color', position: 2, values: ['Red'] },
+    ]);
+    assert.deepEqual(product.collections, [{ handle: 'shoes', title: 'Shoes' }]);
+    assert.deepEqual(product.metafields, { 'reviews.rating': '4.5' });
+
+    // Options follow the product's option order, not the order of selectedOptions
+    const [first, second] = product.variants;
+    assert.equal(first.option1, 'S');
+    assert.equal(first.option2, 'Red');
+    assert.equal(first.price, '10.00');
+    assert.equal(first.compare_at_price, '12.50');
+    assert.equal(first.weight_unit, 'kg');
+    assert.equal(second.available, false);
+    assert.equal(second.compare_at_price, null);
+    assert.equal(second.sku, null);
+
+    // Variant images come first and are linked to their variant
+    assert.deepEqual(product.images[0], { src: 'https://cdn.shopify.com/s.jpg', variant_ids: ['gid://shopify/ProductVariant/11'] });
+    assert.deepEqual(product.images[1], { src: 'https://cdn.shopify.com/a.jpg', alt: 'Front', variant_ids: [] });
+});
+
+test('Storefront products go through transformProduct like products.json products', () => {
+    const [first, second] = transformProduct(fromStorefrontProduct(productNode(1)), 'https://shop.example');
+
+    assert.equal(first.id, 1);
+    assert.equal(first.variant_id, 11);
+    assert.equal(first.price, 10);
+    assert.equal(first.currency, 'EUR');
+    assert.equal(first.weight_grams, 500);
+    assert.deepEqual(first.selected_options, [{ name: 'Size', value: 'S' }, { name: 'Color', value: 'Red' }]);
+    assert.deepEqual(first.collections, [{ handle: 'shoes', title: 'Shoes' }]);
+    assert.equal(second.available, false);
+    assert.equal(second.weight_grams, 0, 'a weight of 0 is known, not missing');
+});
+
+test('fetchStorefrontProducts pages through the catalog with cursors', async () => {
+    const pages = {
+        null: connection([productNode(1), productNode(2)], true, 'c2'),
+        c2: connection([productNode(3)], false, 'c3'),
+    };
+    const server = await startStorefrontApi(json => [200, { data: { products: pages[json.variables.after ?? null] } }]);
+    try {
+        const fetchLayer = createFetchLayer({ maxRetries: 0 });
+
+        const first = await fetchStorefrontProducts(server.api, { first: 2 }, fetchLayer);
+        assert.deepEqual(first.products.map(p => p.handle), ['p1', 'p2']);
+        assert.equal(first.hasNextPage, true);
+        assert.equal(first.endCursor, 'c2');
+
+        const second = await fetchStorefrontProducts(server.api, { first: 2, after: first.endCursor }, fetchLayer);
+        assert.deepEqual(second.products.map(p => p.handle), ['p3']);
+        assert.equal(second.hasNextPage, false);
+
+        const [request] = server.requests;
+        assert.equal(request.method, 'POST');
+        assert.equal(request.url, '/api/2024-04/graphql.json');
+        assert.match(request.headers['content-type'], /^application\/json/);
+        assert.match(request.json.query, /^query Products\(/);
+        assert.deepEqual(request.json.variables, { first: 2, after: null });
+        assert.deepEqual(server.requests[1].json.variables, { first: 2, after: 'c2' });
+    } finally {
+        await server.close();
+    }
+});
+
+test('fetchStorefrontProducts queries collections, single products and market contexts', async () => {
+    const server = await startStorefrontApi(json => [200, {
+        data: json.variables.handle === 'shoes'
+            ? { collection: { products: connection([productNode(1)], false, null) } }
+            : { product: productNode(2) },
+    }]);
+    try {
+        const fetchLayer = createFetchLayer({ maxRetries: 0 });
+
+        const collection = await fetchStorefrontProducts(server.api, { collectionHandle: 'shoes', market: parseMarket('en-ca') }, fetchLayer);
+        assert.deepEqual(collection.products.map(p => p.handle), ['p1']);
+        assert.match(server.requests[0].json.query, /query CollectionProducts\(.*\) @inContext\(country: CA\)/);
+
+        const product = await fetchStorefrontProducts(server.api, { productHandle: 'p2' }, fetchLayer);
+        assert.deepEqual(product, { products: [fromStorefrontProduct(productNode(2))], hasNextPage: false, endCursor: null });
+        assert.match(server.requests[1].json.query, /query Product\(\$handle: String!\)/);
+        assert.doesNotMatch(server.requests[1].json.query, /@inContext/, 'the default market needs no context');
+
+        // Currency markets are priced in the currency's country
+        await fetchStorefrontProducts(server.api, { collectionHandle: 'shoes', market: parseMarket('gbp') }, fetchLayer);
+        assert.match(server.requests[2].json.query, /@inContext\(country: GB\)/);
+    } finally {
+        await server.close();
+    }
+});
+
+test('currencies without a single country are not queried under the wrong prices', async () => {
+    const server = await startStorefrontApi(() => [200, { data: { products: connection([productNode(1)], false, null) } }]);
+    try {
+        const euro = parseMarket('EUR');
+        assert.equal(supportsStorefrontMarket(euro), false);
+        assert.equal(supportsStorefrontMarket(parseMarket('CAD')), true);
+        assert.equal(supportsStorefrontMarket(parseMarket('fr-be')), true);
+        assert.equal(supportsStorefrontMarket(null), true);
+
+        assert.equal(await fetchStorefrontProducts(server.api, { market: euro }, createFetchLayer({ maxRetries: 0 })), null);
+        assert.equal(server.requests.length, 0);
+    } finally {
+        await server.close();
+    }
+});
+
+test('fetchStorefrontProducts returns null when the API cannot be used', async () => {
+    const server = await startStorefrontApi(json => (json.variables.handle === 'gone'
+        ? [200, { data: { collection: null } }]
+        : [200, { errors: [{ message: 'Throttled', extensions: { code: 'THROTTLED' } }] }]));
+    try {
+        const fetchLayer = createFetchLayer({ maxRetries: 0 });
+
+        assert.equal(await fetchStorefrontProducts({ ...server.api, token: 'f'.repeat(32) }, {}, fetchLayer), null, 'rejected token');
+        assert.equal(await fetchStorefrontProducts(server.api, { collectionHandle: 'gone' }, fetchLayer), null);
+        assert.equal(await fetchStorefrontProducts(server.api, {}, fetchLayer), null, 'throttled query');
+        assert.deepEqual(fetchLayer.categories(server.api.endpoint), { blocked: 1, ok: 2 });
+    } finally {
+        await server.close();
+    }
+
+    // The server is gone
+    assert.equal(await fetchStorefrontProducts(server.api, {}, createFetchLayer({ maxRetries: 0 })), null);
+});
+
+test('a throttled Storefront API request is retried after Retry-After', async () => {
+    const server = await startStorefrontApi((json, attempt) => (attempt === 1
+        ? [429, { errors: [{ message: 'Throttled' }] }, { 'retry-after': '1' }]
+        : [200, { data: { products: connection([productNode(1)], false, null) } }]));
+    try {
+        const fetchLayer = createFetchLayer({ maxRetries: 1 });
+
+        const started = Date.now();
+        const result = await fetchStorefrontProducts(server.api, {}, fetchLayer);
+        assert.deepEqual(result.products.map(p => p.handle), ['p1']);
+        assert.equal(server.requests.length, 2);
+        assert.ok(Date.now() - started >= 900, 'waited for Retry-After');
+        assert.deepEqual(fetchLayer.categories(server.api.endpoint), { rate_limited: 1, ok: 1 });
+    } finally {
+        await server.close();
+    }
+});
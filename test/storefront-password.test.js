@@ -0,0 +1,95 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createServer } from 'node:http';
+import { createFetchLayer } from '../src/fetch-layer.js';
+import { collectSitemapProductUrls, detectShopify } from '../src/helpers.js';
+import { storefrontPasswordFor, unlockStorefront } from '../src/storefront-password.js';
+
+const PASSWORD_PAGE = '<html class="template-password"><form method="post" action="/password"><input type="hidden" name="form_type" value="storefront_password"><input type="password" name="password"></form></html>';
+
+/**
+ * Password-protected storefront: every path redirects to /password until the form sets the unlock cookie
+ * @param {string} password
+ */
+const startStore = async (password) => {
+    const requests = [];
+    const server = createServer((req, res) => {
+        let body = '';
+        req.on('data', (chunk) => { body += chunk; });
+        req.on('end', () => {
+            const base = `http://${req.headers.host}`;
+            const unlocked = `${req.headers.cookie || ''}`.includes('storefront_digest=ok');
+            requests.push({ method: req.method, url: req.url, unlocked });
+
+            if (req.url === '/password') {
+                if (req.method === 'POST' && new URLSearchParams(body).get('password') === password) {
+                    res.writeHead(302, { location: '/', 'set-cookie': 'storefront_digest=ok; path=/; HttpOnly' });
+                    return res.end();
+                }
+                res.writeHead(200, { 'content-type': 'text/html' });
+                return res.end(PASSWORD_PAGE);
+            }
+            if (!unlocked) {
+                res.writeHead(302, { location: '/password' });
+                return res.end();
+            }
+
+            const pages = {
+                '/': ['text/html', '<script src="//cdn.shopify.com/s/files/theme.js"></script>'],
+                '/robots.txt': ['text/plain', `# we use Shopify as our ecommerce platform\nSitemap: ${base}/sitemap.xml`],
+                '/sitemap.xml': ['application/xml', `<sitemapindex><sitemap><loc>${base}/sitemap_products_1.xml</loc></sitemap><sitemap><loc>${base}/sitemap_pages_1.xml</loc></sitemap></sitemapindex>`],
+                '/sitemap_products_1.xml': ['application/xml', `<urlset><url><loc>${base}/products/a</loc><lastmod>2024-05-01</lastmod></url><url><loc>${base}/products/b</loc></url><url><loc>${base}/collections/all</loc></url></urlset>`],
+            };
+            const page = pages[req.url];
+            res.writeHead(page ? 200 : 404, { 'content-type': page?.[0] || 'text/html' });
+            return res.end(page?.[1] || 'Not found');
+        });
+    });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    return {
+        requests,
+        url: `http://127.0.0.1:${server.address().port}`,
+        close: () => new Promise(resolve => server.close(resolve)),
+    };
+};
+
+test('storefrontPasswordFor matches store URLs and bare domains', () => {
+    const passwords = { 'https://www.shop.example/collections/all': 'one', 'other.example': 'two', 'empty.example': '' };
+    assert.equal(storefrontPasswordFor(passwords, 'https://shop.example'), 'one');
+    assert.equal(storefrontPasswordFor(passwords, 'https://www.other.example'), 'two');
+    assert.equal(storefrontPasswordFor(passwords, 'https://empty.example'), null);
+    assert.equal(storefrontPasswordFor(undefined, 'https://shop.example'), null);
+});
+
+test('detection and sitemap discovery see an unlocked storefront', async () => {
+    const store = await startStore('letmein');
+    try {
+        const fetchLayer = createFetchLayer({ maxRetries: 0 });
+
+        assert.deepEqual(await collectSitemapProductUrls(store.url, fetchLayer), [], 'the password page hides the sitemap');
+        assert.equal((await detectShopify(store.url, fetchLayer)).isShopify, false);
+
+        assert.equal(await unlockStorefront(store.url, 'letmein', fetchLayer), 'unlocked');
+
+        assert.deepEqual(await detectShopify(store.url, fetchLayer), { isShopify: true, signals: ['html', 'robots.txt'] });
+        assert.deepEqual(await collectSitemapProductUrls(store.url, fetchLayer), [
+            { url: `${store.url}/products/a`, lastmod: '2024-05-01T00:00:00.000Z' },
+            { url: `${store.url}/products/b`, lastmod: null },
+        ]);
+        assert.ok(store.requests.some(r => r.url === '/sitemap_products_1.xml' && r.unlocked));
+    } finally {
+        await store.close();
+    }
+});
+
+test('a rejected storefront password is reported and leaves the store locked', async () => {
+    const store = await startStore('letmein');
+    try {
+        const fetchLayer = createFetchLayer({ maxRetries: 0 });
+        assert.equal(await unlockStorefront(store.url, 'wrong', fetchLayer), 'invalid_password');
+        assert.equal(fetchLayer.cookieHeader(store.url), '');
+        assert.deepEqual(await collectSitemapProductUrls(store.url, fetchLayer), []);
+    } finally {
+        await store.close();
+    }
+});